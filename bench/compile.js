@@ -0,0 +1,108 @@
+/**
+ * Compares validateData against a compiled schema. Build first, see `yarn bench`.
+ * Pass the build of another version, e.g. a checkout of the previous release, to
+ * compare against its validateData as well.
+ *
+ * node bench/compile.js [iterations] [baseline dist]
+ */
+const assert = require('assert').strict;
+const path = require('path');
+const lib = require('../dist');
+
+const { compile, validateData, validateDataSync } = lib;
+const iterations = Number(process.argv[2]) || 20000;
+const baseline = process.argv[3] && require(path.resolve(process.argv[3]));
+
+const createSchema = ({ types, conditions }) => ({
+  id: types.isInteger.and(conditions.required),
+  name: types.isString.and(conditions.required, conditions.notEmpty),
+  email: types.isString,
+  age: types.isInteger.and(conditions.range(0, 150)),
+  tags: types.isArray.and(conditions.ofType(types.isString)),
+  address: {
+    street: types.isString.and(conditions.required),
+    city: types.isString.and(conditions.required),
+    zip: types.isString,
+  },
+  items: types.isArray.and(conditions.ofType({
+    sku: types.isString.and(conditions.required),
+    quantity: types.isInteger.and(conditions.range(1, 100)),
+  })),
+});
+const schema = createSchema(lib);
+
+const valid = {
+  id: 1,
+  name: 'Jane',
+  email: 'jane@example.com',
+  age: 42,
+  tags: ['a', 'b', 'c'],
+  address: { street: 'Main St 1', city: 'Springfield', zip: '12345' },
+  items: [{ sku: 'A-1', quantity: 2 }, { sku: 'B-2', quantity: 1 }],
+};
+
+const invalid = {
+  id: 'one',
+  name: '',
+  age: 200,
+  tags: ['a', 2],
+  address: { street: 'Main St 1' },
+  items: [{ quantity: 0 }],
+  extra: true,
+};
+
+const rounds = 11;
+
+// every case runs in turns, so a slow moment of the machine does not favour one of them
+async function measure(cases) {
+  const size = Math.ceil(iterations / rounds);
+  const results = cases.map(() => []);
+  for (const [, fn] of cases) {
+    for (let i = 0; i < size; i++) {
+      // warm up, so the order of the measurements does not matter
+      await fn(i % 2 ? valid : invalid);
+    }
+  }
+  for (let round = 0; round < rounds; round++) {
+    for (let c = 0; c < cases.length; c++) {
+      const start = process.hrtime.bigint();
+      for (let i = 0; i < size; i++) {
+        await cases[c][1](i % 2 ? valid : invalid);
+      }
+      results[c].push(size / (Number(process.hrtime.bigint() - start) / 1e9));
+    }
+  }
+  cases.forEach(([name], c) => {
+    const median = results[c].sort((a, b) => a - b)[rounds >> 1];
+    console.log(`${name.padEnd(24)} ${String(Math.round(median)).padStart(9)} ops/sec`);
+  });
+}
+
+async function main() {
+  const compiled = compile(schema);
+
+  // the compiled schema must not change any result
+  for (const data of [valid, invalid]) {
+    assert.deepEqual(await compiled(data), await validateData(schema, data, {}));
+    assert.deepEqual(compiled.sync(data), validateDataSync(schema, data));
+  }
+
+  const cases = [];
+  if (baseline) {
+    const baselineSchema = createSchema(baseline);
+    cases.push(['baseline validateData', (data) => baseline.validateData(baselineSchema, data)]);
+  }
+  cases.push(
+    ['validateData', (data) => validateData(schema, data, {})],
+    ['compile', (data) => compiled(data)],
+    ['validateDataSync', (data) => validateDataSync(schema, data)],
+    ['compile sync', (data) => compiled.sync(data)],
+  );
+  console.log(`${iterations} iterations per case, half of them invalid, median of ${rounds} rounds\n`);
+  await measure(cases);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
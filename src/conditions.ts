@@ -1,158 +1,832 @@
 import { isObject } from './types-basic'
-import { validateData } from './validation'
+import * as formats from './formats'
+import { planSchema, validatePlan } from './validation'
+import type { SchemaPlan } from './validation'
+import { assertUnknownKeys, childContext, deepEqual, fail, isPromise, rootContext, rules, run, toErrors } from './utils'
+import type { ContainsOptions, DateLike, FieldPredicate, LengthOptions, LengthUnit, ListOptions, ListValue, SafeStringClass, SafeStringOptions, ShapeOptions, ValidationContext, ValidationIssue } from './types'
 
 /**
  * Requires a value to be defined.
  */
-function required(value: any) {
+function required(value: any, _prefix?: string, context?: ValidationContext) {
   if (value === undefined) {
-    return 'value is required but missing';
+    return fail(context, 'required', {});
   }
   return true;
 }
 (required as any).priority = 3; // needed for ordering
 (required as any).hasRequiredCondition = true; // special case for shortcoming in validation
+(required as any).kind = 'required'; // introspected by toJSONSchema
+
+/**
+ * Requires a value to be defined and not null. Use this variant of `required`
+ * alongside `nullable` when null should not count as a present value.
+ */
+function requiredNotNull(value: any, _prefix?: string, context?: ValidationContext) {
+  if (value === undefined) {
+    return fail(context, 'required', {});
+  }
+  if (value === null) {
+    return fail(context, 'required.notNull', {});
+  }
+  return true;
+}
+(requiredNotNull as any).priority = 3; // needed for ordering
+(requiredNotNull as any).hasRequiredCondition = true; // special case for shortcoming in validation
+(requiredNotNull as any).kind = 'required.notNull'; // introspected by toJSONSchema
+(required as any).notNull = requiredNotNull;
+
+/**
+ * Allows the value to be null in addition to the type it is attached to.
+ * A null value skips the type check and all other conditions except `required`.
+ */
+function nullable(_value: any) {
+  return true;
+}
+(nullable as any).priority = 3; // needed for ordering
+(nullable as any).allowsNull = true; // special case for null values in validation
+(nullable as any).kind = 'nullable'; // introspected by toJSONSchema
+
+/**
+ * Replaces a missing (undefined) value with a default. Pass a function to create
+ * the default on every use, e.g. `defaultTo(() => [])`, which is needed for mutable
+ * values and for defaults that are functions themselves.
+ * The default is applied before any other translator or condition, so `required`
+ * is always satisfied.
+ */
+function defaultTo(valueOrFactory: any) {
+  const translator = ((value: any) => {
+    if (value !== undefined) {
+      return value;
+    }
+    return typeof valueOrFactory === 'function' ? valueOrFactory() : valueOrFactory;
+  }) as any;
+  translator.priority = 4; // needed for ordering, defaults are applied first
+  translator.isTranslator = true; // special case for translators in validation
+  translator.params = { value: valueOrFactory };
+  translator.kind = 'defaultTo'; // introspected by toJSONSchema
+  return translator;
+}
 
 /**
  * Requires a string value to not be empty.
  */
-function notEmpty(value: any) {
-  return value === '' ? "string value can not be empty" : true
+function notEmpty(value: any, _prefix?: string, context?: ValidationContext) {
+  return value === '' ? fail(context, 'notEmpty', {}) : true
 }
 (notEmpty as any).priority = 2; // needed for ordering
+(notEmpty as any).kind = 'notEmpty'; // introspected by toJSONSchema
 
 /**
- * Restricts the value to a list of allowed values.
+ * Creates a lookup for the values of a list. With `caseInsensitive`, strings are
+ * compared in lower case, other values as they are.
  */
-function inList(list: string[]) {
-  const validator = ((value: any) => {
-    if (list.indexOf(value) >= 0) {
+function listLookup(list: ListValue[], options: ListOptions) {
+  const toKey = (value: any) => (options.caseInsensitive && typeof value === 'string' ? value.toLowerCase() : value);
+  const keys = new Set(list.map(toKey));
+  return (value: any) => keys.has(toKey(value));
+}
+
+/**
+ * Restricts the value to a list of allowed values, e.g. strings, numbers or booleans.
+ */
+function inList(list: ListValue[], options: ListOptions = {}) {
+  const includes = listLookup(list, options);
+  const validator = ((value: any, _prefix?: string, context?: ValidationContext) => {
+    if (includes(value)) {
       return true;
     }
-    return `value does not match accepted values: [${list}]`;
+    return fail(context, 'inList', { list });
   }) as any;
   validator.priority = 2; // needed for ordering
+  validator.params = { list }; // exposed to custom messages
+  validator.kind = 'inList'; // introspected by toJSONSchema
+  validator.caseInsensitive = options.caseInsensitive === true;
   return validator
 }
 
 /**
- * For upper or lower, pass undefined to ignore the boundary limit.
+ * Rejects the values of a list, e.g. reserved names.
  */
-function range(lower: number | undefined, upper: number | undefined) {
-  const validator = ((value: any) => {
-    
-    if (Array.isArray(value)) {
-      if (lower === undefined ) {
-        if (value.length > upper!) {
-          return `array size must be less than or equal to ${upper}`;
-        }
-        else {
-          return true;
-        }
-      }
-      else if(upper === undefined ) {
-        if (value.length < lower) {
-          return `array size must be greater than or equal to ${lower}`;
-        }
-        else {
-          return true;
-        }
-      }
-      else if (value.length >= lower && value.length <= upper) {
-        return true;
-      } else {
-        return `array size falls outside of range (${lower}, ${upper})`;
-      }
+function notInList(list: ListValue[], options: ListOptions = {}) {
+  const includes = listLookup(list, options);
+  const validator = ((value: any, _prefix?: string, context?: ValidationContext) => {
+    if (!includes(value)) {
+      return true;
     }
-    else {
-      if (lower === undefined ) {
-        if (value > upper!) {
-          return `value must be less than or equal to ${upper}`;
-        }
-        else {
-          return true;
-        }
-      }
-      else if(upper === undefined ) {
-        if (value < lower) {
-          return `value must be greater than or equal to ${lower}`;
-        }
-        else {
+    return fail(context, 'notInList', { list });
+  }) as any;
+  validator.priority = 2; // needed for ordering
+  validator.params = { list }; // exposed to custom messages
+  validator.kind = 'notInList'; // introspected by toJSONSchema
+  validator.caseInsensitive = options.caseInsensitive === true;
+  return validator
+}
+
+const lengthUnits = ['codeUnits', 'codePoints', 'graphemes'];
+let graphemeSegmenter: any;
+
+function assertLengthUnit(unit: LengthUnit) {
+  if (lengthUnits.indexOf(unit) < 0) {
+    throw Error(`Unknown length unit: ${unit}. Expected one of: ${lengthUnits}`);
+  }
+  if (unit === 'graphemes' && typeof (Intl as any).Segmenter !== 'function') {
+    throw Error('Counting graphemes requires Intl.Segmenter, which is not available');
+  }
+}
+
+/**
+ * Counts the characters of a string in the given unit, see `LengthOptions`.
+ */
+function stringLength(value: string, unit: LengthUnit) {
+  if (unit === 'codePoints') {
+    return Array.from(value).length;
+  }
+  if (unit === 'graphemes') {
+    graphemeSegmenter = graphemeSegmenter || new (Intl as any).Segmenter(undefined, { granularity: 'grapheme' });
+    return Array.from(graphemeSegmenter.segment(value)).length;
+  }
+  return value.length;
+}
+
+/**
+ * Creates a condition checking the length of a string. Other values are left to the type.
+ */
+function lengthCondition(kind: string, code: string, params: Record<string, any>, options: LengthOptions, test: (length: number) => boolean) {
+  const unit = options.unit || 'codeUnits';
+  assertLengthUnit(unit);
+  const validator = ((value: any, _prefix?: string, context?: ValidationContext) => {
+    if (typeof value === 'string' && !test(stringLength(value, unit))) {
+      return fail(context, code, params);
+    }
+    return true;
+  }) as any;
+  validator.priority = 2; // needed for ordering
+  validator.params = params; // exposed to custom messages
+  validator.kind = kind; // introspected by toJSONSchema
+  validator.unit = unit;
+  validator.appliesTo = ['string']; // checked when attached to a type
+  return validator;
+}
+
+/**
+ * Requires a string to be at least `min` characters long.
+ */
+function minLength(min: number, options: LengthOptions = {}) {
+  return lengthCondition('minLength', 'length.min', { min }, options, (length) => length >= min);
+}
+
+/**
+ * Requires a string to be at most `max` characters long.
+ */
+function maxLength(max: number, options: LengthOptions = {}) {
+  return lengthCondition('maxLength', 'length.max', { max }, options, (length) => length <= max);
+}
+
+/**
+ * Requires a string to be exactly `length` characters long.
+ */
+function length(length: number, options: LengthOptions = {}) {
+  return lengthCondition('length', 'length', { length }, options, (actual) => actual === length);
+}
+
+/**
+ * Requires a string to match the regular expression.
+ */
+function matches(regex: RegExp) {
+  const validator = ((value: any, _prefix?: string, context?: ValidationContext) => {
+    // search ignores lastIndex, so global expressions give the same result every time
+    if (typeof value === 'string' && value.search(regex) < 0) {
+      return fail(context, 'matches', { regex });
+    }
+    return true;
+  }) as any;
+  validator.priority = 2; // needed for ordering
+  validator.params = { regex }; // exposed to custom messages
+  validator.kind = 'matches'; // introspected by toJSONSchema
+  return validator;
+}
+
+/**
+ * Creates a condition checking the format of a string. Other values are left to the type.
+ */
+function formatCondition(format: string, test: (value: string) => boolean, params: Record<string, any> = {}) {
+  const validator = ((value: any, _prefix?: string, context?: ValidationContext) => {
+    if (typeof value === 'string' && !test(value)) {
+      return fail(context, `format.${format}`, params);
+    }
+    return true;
+  }) as any;
+  validator.priority = 2; // needed for ordering
+  validator.params = params; // exposed to custom messages
+  validator.kind = 'format'; // introspected by toJSONSchema
+  validator.format = format;
+  return validator;
+}
+
+/** Requires an email address */
+const email = formatCondition('email', formats.isEmail);
+/** Requires an absolute http or https URL */
+const url = formatCondition('url', formats.isUrl);
+/** Requires an absolute URI of any scheme, e.g. urn:isbn:0451450523 */
+const uri = formatCondition('uri', formats.isUri);
+/** Requires a UUID of version 1 to 7, use `uuid.version(4)` for a single version */
+const uuid = formatCondition('uuid', (value) => formats.isUuid(value));
+uuid.version = (version: number) => formatCondition('uuid.version', (value) => formats.isUuid(value, version), { version });
+/** Requires an ISO 8601 date, e.g. 2024-01-31 */
+const isoDate = formatCondition('isoDate', formats.isIsoDate);
+/** Requires an ISO 8601 date-time, e.g. 2024-01-31T12:00:00Z */
+const isoDateTime = formatCondition('isoDateTime', formats.isIsoDateTime);
+/** Requires a hex color, e.g. #fff or #ff0000 */
+const hexColor = formatCondition('hexColor', formats.isHexColor);
+/** Requires an IPv4 address */
+const ipv4 = formatCondition('ipv4', formats.isIpv4);
+/** Requires an IPv6 address */
+const ipv6 = formatCondition('ipv6', formats.isIpv6);
+/** Requires lowercase letters and numbers separated by single hyphens, e.g. my-post-1 */
+const slug = formatCondition('slug', formats.isSlug);
+/** Requires an E.164 phone number, e.g. +14155552671 */
+const e164 = formatCondition('e164', formats.isE164);
+
+const safeStringClasses = Object.keys(formats.unsafeCharacters) as SafeStringClass[];
+
+/**
+ * Requires a string to be free of characters that are unsafe to store or render:
+ * null bytes, control characters, zero-width and bidi characters, HTML markup and a
+ * leading `$` MongoDB could treat as an operator. Classes listed in `allow` are accepted.
+ * With `report`, unsafe values are passed to it instead of failing validation.
+ * Only values are checked, pass it to the keys type of `isRecord` to check keys.
+ */
+function safeString(options: SafeStringOptions = {}) {
+  const allow = options.allow || [];
+  for (const name of allow) {
+    if (safeStringClasses.indexOf(name) < 0) {
+      throw Error(`Unknown safeString class: ${name}. Expected one of: ${safeStringClasses}`);
+    }
+  }
+  const checks = safeStringClasses.filter((name) => allow.indexOf(name) < 0);
+  const validator = ((value: any, prefix: string = '', context?: ValidationContext) => {
+    if (typeof value !== 'string') {
+      return true;
+    }
+    for (const name of checks) {
+      const match = formats.unsafeCharacters[name].exec(value);
+      if (match) {
+        const params = { characterClass: name, position: match.index };
+        if (options.report) {
+          options.report({ key: prefix, value, ...params });
           return true;
         }
-      }
-      else if (value >= lower && value <= upper) {
-        return true;
-      } else {
-        return `value falls outside of range (${lower}, ${upper})`;
+        return fail(context, `safeString.${name}`, params);
       }
     }
-    
+    return true;
   }) as any;
   validator.priority = 2; // needed for ordering
+  validator.params = { allow }; // exposed to custom messages
+  validator.kind = 'safeString'; // introspected by toJSONSchema
+  validator.appliesTo = ['string']; // checked when attached to a type
   return validator;
 }
 
 /**
- * Restrict the array to a particular type.
- * An empty array is still valid with this condition.
+ * Converts a date, or an ISO 8601 string as accepted by `isDate.orIsoString`, to a timestamp.
  */
-function ofType(type: any) {
-  const shim = (async (value: any, prefix: string = '') => {
-    if (!value) {
-      // if there is no array, ignore it, it could be omitted 
-      // note: required() condition will error if added
+function toTime(value: any): number {
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+  return typeof value === 'string' ? new Date(value).getTime() : NaN;
+}
+
+function assertDate(date: DateLike, name: string) {
+  if (isNaN(toTime(date))) {
+    throw Error(`Invalid date passed to ${name}: ${date}`);
+  }
+  return date;
+}
+
+/**
+ * Creates a condition comparing dates. Values that are not dates are left to the type.
+ */
+function dateCondition(kind: string, params: Record<string, any>, check: (time: number) => string | undefined) {
+  const validator = ((value: any, _prefix?: string, context?: ValidationContext) => {
+    const time = toTime(value);
+    if (isNaN(time)) {
+      return true;
+    }
+    const code = check(time);
+    return code ? fail(context, code, params) : true;
+  }) as any;
+  validator.priority = 2; // needed for ordering
+  validator.params = params; // exposed to custom messages
+  validator.kind = kind; // introspected by toJSONSchema
+  validator.appliesTo = ['date']; // checked when attached to a type
+  return validator;
+}
+
+/**
+ * Requires a date before the given date.
+ */
+function before(date: DateLike) {
+  const time = toTime(assertDate(date, 'before'));
+  return dateCondition('before', { date }, (value) => (value < time ? undefined : 'date.before'));
+}
+
+/**
+ * Requires a date after the given date.
+ */
+function after(date: DateLike) {
+  const time = toTime(assertDate(date, 'after'));
+  return dateCondition('after', { date }, (value) => (value > time ? undefined : 'date.after'));
+}
+
+/**
+ * Requires a date in the past, compared to the time of validation.
+ */
+const inPast = dateCondition('inPast', {}, (value) => (value < Date.now() ? undefined : 'date.inPast'));
+
+/**
+ * Requires a date in the future, compared to the time of validation.
+ */
+const inFuture = dateCondition('inFuture', {}, (value) => (value > Date.now() ? undefined : 'date.inFuture'));
+
+/**
+ * Requires a date between min and max, including both. Pass undefined for either to ignore the limit.
+ */
+function dateRange(min: DateLike | undefined, max: DateLike | undefined) {
+  const lower = min === undefined ? -Infinity : toTime(assertDate(min, 'dateRange'));
+  const upper = max === undefined ? Infinity : toTime(assertDate(max, 'dateRange'));
+  return dateCondition('dateRange', { min, max }, (value) => {
+    if (value >= lower && value <= upper) {
+      return undefined;
+    }
+    if (min === undefined) {
+      return 'date.range.max';
+    }
+    return max === undefined ? 'date.range.min' : 'date.range';
+  });
+}
+
+/**
+ * For upper or lower, pass undefined to ignore the boundary limit.
+ */
+function range(lower: number | undefined, upper: number | undefined) {
+  const validator = ((value: any, _prefix?: string, context?: ValidationContext) => {
+    const params = { lower, upper };
+
+    let code;
+    if (typeof value === 'number') {
+      code = 'range';
+    } else if (Array.isArray(value)) {
+      code = 'range.size';
+      value = value.length;
+    } else if (isObject(value) === true) {
+      // records are limited by their number of entries
+      code = 'range.entries';
+      value = Object.keys(value).length;
+    } else {
+      // comparing anything else, like strings, would give nonsense
+      return fail(context, 'range.type', params);
+    }
+
+    if (lower === undefined ) {
+      return value > upper! ? fail(context, `${code}.max`, params) : true;
+    }
+    else if(upper === undefined ) {
+      return value < lower ? fail(context, `${code}.min`, params) : true;
+    }
+    else if (value >= lower && value <= upper) {
+      return true;
+    } else {
+      return fail(context, code, params);
+    }
+  }) as any;
+  validator.priority = 2; // needed for ordering
+  validator.params = { lower, upper }; // exposed to custom messages
+  validator.kind = 'range'; // introspected by toJSONSchema
+  validator.appliesTo = ['numeric', 'integer', 'array', 'record']; // checked when attached to a type
+  return validator;
+}
+
+/**
+ * Object-level conditions on groups of keys. Attach them to `isObject`, or list
+ * them under the `rules` key of an object literal:
+ *
+ * const schema = {
+ *   email: types.isString,
+ *   phone: types.isString,
+ *   [conditions.rules]: [conditions.atLeastOneOf(['email', 'phone'])],
+ * }
+ *
+ * Errors are reported at the key of the object, naming the keys in the params.
+ */
+function keyCondition(kind: string, keys: string[], check: (present: string[], missing: string[]) => boolean) {
+  if (!Array.isArray(keys) || keys.length < 2) {
+    throw Error(`${kind} needs a list of at least two keys`);
+  }
+  const validator = ((value: any, _prefix?: string, context?: ValidationContext) => {
+    if (isObject(value) !== true || !value) {
       return true;
     }
-    if (prefix !== '') {
-      prefix = `${prefix}.`;
+    const present = keys.filter((key) => value[key] !== undefined);
+    const missing = keys.filter((key) => value[key] === undefined);
+    return check(present, missing) ? true : fail(context, `keys.${kind}`, { keys, present, missing });
+  }) as any;
+  validator.priority = 2; // needed for ordering
+  validator.params = { keys }; // exposed to custom messages
+  validator.kind = kind; // introspected by toJSONSchema
+  validator.appliesTo = ['object', 'record']; // checked when attached to a type
+  return validator;
+}
+
+/** Requires at least one of the keys. */
+function atLeastOneOf(keys: string[]) {
+  return keyCondition('atLeastOneOf', keys, (present) => present.length > 0);
+}
+
+/** Requires exactly one of the keys. */
+function oneOfKeys(keys: string[]) {
+  return keyCondition('oneOfKeys', keys, (present) => present.length === 1);
+}
+
+/** Allows at most one of the keys. */
+function mutuallyExclusive(keys: string[]) {
+  return keyCondition('mutuallyExclusive', keys, (present) => present.length <= 1);
+}
+
+/** Requires either all of the keys or none of them. */
+function allOrNone(keys: string[]) {
+  return keyCondition('allOrNone', keys, (present, missing) => present.length === 0 || missing.length === 0);
+}
+
+// fields are looked up in the object holding the value, dotted paths walk deeper
+function getField(parent: any, field: string) {
+  return field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), parent);
+}
+
+/**
+ * A field name checks that the field equals the given value, or that it is present
+ * when no value is given. Functions receive the object holding the value and the context.
+ */
+function toPredicate(predicate: FieldPredicate, equals: any[]) {
+  return (context?: ValidationContext) => {
+    if (!context) {
+      // there are no other fields outside of validation
+      return false;
+    }
+    if (typeof predicate === 'function') {
+      return predicate(context.parent, context);
+    }
+    const field = getField(context.parent, predicate);
+    return equals.length ? field === equals[0] : field !== undefined;
+  };
+}
+
+function fieldParams(predicate: FieldPredicate, equals: any[]) {
+  if (typeof predicate === 'function') {
+    return {};
+  }
+  return equals.length ? { field: predicate, value: equals[0] } : { field: predicate };
+}
+
+/**
+ * Requires the value when another field equals the given value, when it is present
+ * if no value is given, or when the predicate returns true.
+ *
+ * example:
+ *
+ * shippingAddress: types.isString.and(conditions.requiredIf('delivery', 'ship'))
+ */
+function requiredIf(predicate: FieldPredicate, ...equals: any[]) {
+  const applies = toPredicate(predicate, equals);
+  const params = fieldParams(predicate, equals);
+  const validator = ((value: any, _prefix?: string, context?: ValidationContext) => {
+    if (value === undefined && applies(context)) {
+      return fail(context, 'requiredIf', params);
+    }
+    return true;
+  }) as any;
+  validator.priority = 3; // needed for ordering
+  validator.hasRequiredCondition = true; // special case for shortcoming in validation
+  validator.dependsOnFields = true; // only required in some cases
+  validator.params = params; // exposed to custom messages
+  validator.kind = 'requiredIf'; // introspected by toJSONSchema
+  return validator;
+}
+
+/**
+ * Same as `requiredIf`, but rejects the value instead.
+ */
+function forbiddenIf(predicate: FieldPredicate, ...equals: any[]) {
+  const applies = toPredicate(predicate, equals);
+  const params = fieldParams(predicate, equals);
+  const validator = ((value: any, _prefix?: string, context?: ValidationContext) => {
+    if (value !== undefined && applies(context)) {
+      return fail(context, 'forbiddenIf', params);
+    }
+    return true;
+  }) as any;
+  validator.priority = 2; // needed for ordering
+  validator.params = params; // exposed to custom messages
+  validator.kind = 'forbiddenIf'; // introspected by toJSONSchema
+  return validator;
+}
+
+/**
+ * Requires the value to equal another field, e.g. a password confirmation.
+ * The field is compared as sent, before it is translated.
+ */
+function equalsField(field: string) {
+  const validator = ((value: any, _prefix?: string, context?: ValidationContext) => {
+    if (!context || value === getField(context.parent, field)) {
+      return true;
     }
+    return fail(context, 'equalsField', { field });
+  }) as any;
+  validator.priority = 2; // needed for ordering
+  validator.params = { field }; // exposed to custom messages
+  validator.kind = 'equalsField'; // introspected by toJSONSchema
+  return validator;
+}
 
-    let results: any[] = [];
-    let result;
-    // multiple errors may be returned if the type is an object
-    for (let i = 0; i < value.length; i++) {
-      if (isObject(type)) {
-        result = await validateData(type, value[i], `${prefix}${i}`);
-      } else {
-        result = await type(value[i], `${prefix}${i}`);
+function* validateWhen(applies: (context?: ValidationContext) => boolean, plans: (SchemaPlan | undefined)[], value: any, prefix: string, context?: ValidationContext): Generator<any, any, any> {
+  const plan = applies(context) ? plans[0] : plans[1];
+  if (!plan || (!plan.validator && value === undefined)) {
+    // object literals are optional, same as when they are used directly in a schema
+    return true;
+  }
+  return yield* validatePlan(plan, value, prefix, context);
+}
+
+/**
+ * Validates the value against `then` when the predicate holds, otherwise against
+ * `otherwise`, or not at all without it. Takes the same predicates as `requiredIf`,
+ * apart from the value a field equals. Can be used in place of a type or as a condition.
+ *
+ * example:
+ *
+ * shippingAddress: conditions.when(
+ *   (order) => order.delivery === 'ship',
+ *   types.isObject.and(conditions.required, conditions.ofShape(address)),
+ * )
+ */
+function when(predicate: FieldPredicate, then: any, otherwise?: any) {
+  const applies = toPredicate(predicate, []);
+  const plans = [planSchema(then), otherwise === undefined ? undefined : planSchema(otherwise)];
+  const shim = ((value: any, prefix: string = '', context?: ValidationContext) => {
+    return run(validateWhen(applies, plans, value, prefix, context), context, prefix);
+  }) as any;
+  shim.priority = 0; // needed for ordering
+  shim.kind = 'when'; // introspected by toJSONSchema
+  shim.then = then;
+  shim.otherwise = otherwise;
+  return shim;
+}
+
+/**
+ * Finds the items equal to an earlier item, returning their index along with the
+ * index of the first of them. Primitives are looked up, so they take linear time.
+ * With `skipUndefined`, undefined values are never duplicates, e.g. missing keys.
+ */
+function findDuplicates(values: any[], skipUndefined: boolean) {
+  const seen = new Map<any, number>();
+  const objects: number[] = [];
+  const duplicates: { index: number; first: number }[] = [];
+  for (let i = 0; i < values.length; i++) {
+    const value = values[i];
+    let first;
+    if (value === undefined && skipUndefined) {
+      continue;
+    }
+    if (value && typeof value === 'object') {
+      first = objects.find((j) => deepEqual(values[j], value));
+      if (first === undefined) {
+        objects.push(i);
       }
+    } else {
+      first = seen.get(value);
+      if (first === undefined) {
+        seen.set(value, i);
+      }
+    }
+    if (first !== undefined) {
+      duplicates.push({ index: i, first });
+    }
+  }
+  return duplicates;
+}
+
+function duplicateCondition(kind: string, code: string, toValue: (item: any) => any, params: Record<string, any>, skipUndefined: boolean = false) {
+  const validator = ((value: any, prefix: string = '', context?: ValidationContext) => {
+    if (!Array.isArray(value)) {
+      return true;
+    }
+    const duplicates = findDuplicates(value.map(toValue), skipUndefined);
+    if (!duplicates.length) {
+      return true;
+    }
+    if (!context) {
+      return fail(context, code, { ...params, index: duplicates[0].first });
+    }
+    // reported at the index of every duplicate, or only the first one when aborting early
+    const itemPrefix = prefix ? `${prefix}.` : '';
+    return duplicates.slice(0, context.abortEarly ? 1 : undefined).map(({ index, first }) => ({
+      key: `${itemPrefix}${index}`,
+      ...fail(context, code, { ...params, index: first }) as ValidationIssue,
+    }));
+  }) as any;
+  validator.priority = 2; // needed for ordering
+  validator.params = params; // exposed to custom messages
+  validator.kind = kind; // introspected by toJSONSchema
+  validator.appliesTo = ['array']; // checked when attached to a type
+  return validator;
+}
+
+/**
+ * Requires the items of an array to be unique. Arrays, plain objects and dates
+ * are compared by their contents.
+ */
+function unique() {
+  return duplicateCondition('unique', 'unique', (item) => item, {});
+}
+
+/**
+ * Requires the items of an array to be unique by the value of a key, e.g. `'sku'`
+ * or `'product.sku'`, or by the value the function returns for them. Items without
+ * a value, e.g. because the key is optional, are skipped.
+ */
+function uniqueBy(keyOrFn: string | ((item: any) => any)) {
+  if (typeof keyOrFn === 'function') {
+    return duplicateCondition('uniqueBy', 'unique.by', keyOrFn, {}, true);
+  }
+  return duplicateCondition('uniqueBy', 'unique.by', (item) => getField(item, keyOrFn), { key: keyOrFn }, true);
+}
+
+function* validateContains(plan: SchemaPlan, options: ContainsOptions, value: any, prefix: string, context?: ValidationContext): Generator<any, any, any> {
+  if (!Array.isArray(value)) {
+    return true;
+  }
+  const { min = 1, max } = options;
+  let count = 0;
+  for (let i = 0; i < value.length; i++) {
+    // matching items are counted only, their translated value is dropped
+    const child = context ? childContext(context, value[i], value, prefix ? `${prefix}.${i}` : `${i}`) : undefined;
+    if ((yield* validatePlan(plan, value[i], prefix ? `${prefix}.${i}` : `${i}`, child)) === true) {
+      count++;
+    }
+  }
+  if (count < min) {
+    return fail(context, 'contains.min', { min, max, count });
+  }
+  if (max !== undefined && count > max) {
+    return fail(context, 'contains.max', { min, max, count });
+  }
+  return true;
+}
+
+/**
+ * Requires an array to contain at least `min` (default 1) and at most `max`
+ * items matching the type or schema.
+ *
+ * example:
+ *
+ * roles: types.isArray.and(conditions.contains(types.isString.and(conditions.inList(['owner']))))
+ */
+function contains(type: any, options: ContainsOptions = {}) {
+  const plan = planSchema(type);
+  const shim = ((value: any, prefix: string = '', context?: ValidationContext) => {
+    return run(validateContains(plan, options, value, prefix, context), context, prefix);
+  }) as any;
+  shim.priority = 2; // needed for ordering
+  shim.params = { min: options.min === undefined ? 1 : options.min, max: options.max }; // exposed to custom messages
+  shim.kind = 'contains'; // introspected by toJSONSchema
+  shim.schema = type;
+  shim.appliesTo = ['array']; // checked when attached to a type
+  return shim;
+}
 
-      if (typeof result === 'string') {
-        // simple error from leaf node
-        results.push({
-          key: `${prefix}${i}`,
-          error: result,
-        });
-      } else if (result.length) {
-        // multiple errors from branch
-        results.push(...result);
+function* validateItems(plan: SchemaPlan, value: any, prefix: string, context: ValidationContext): Generator<any, any, any> {
+  if (!value) {
+    // if there is no array, ignore it, it could be omitted 
+    // note: required() condition will error if added
+    return true;
+  }
+  if (prefix !== '') {
+    prefix = `${prefix}.`;
+  }
+
+  let results: any[] = [];
+  let result;
+  const output: any[] = [];
+  // multiple errors may be returned if the type is an object
+  for (let i = 0; i < value.length; i++) {
+    const child = childContext(context, value[i], value, `${prefix}${i}`);
+    if (plan.validator) {
+      // same as validatePlan, without a nested generator for every item
+      result = plan.validator(value[i], `${prefix}${i}`, child);
+      if (isPromise(result)) {
+        // only promises are yielded, see `run`
+        result = yield result;
       }
+    } else {
+      result = yield* validatePlan(plan, value[i], `${prefix}${i}`, child);
     }
-    return results.length ? results : true
+    results.push(...toErrors(`${prefix}${i}`, result));
+    if (context.abortEarly && results.length) {
+      break;
+    }
+    output.push(child.value);
+  }
+  context.value = output;
+  return results.length ? results : true
+}
+
+/**
+ * Restrict the array to a particular type.
+ * An empty array is still valid with this condition.
+ */
+function ofType(type: any) {
+  const plan = planSchema(type);
+  const shim = ((value: any, prefix: string = '', context: ValidationContext = rootContext(value)) => {
+    return run(validateItems(plan, value, prefix, context), context, prefix);
   }) as any;
   shim.priority = 0; // needed for ordering
+  shim.kind = 'ofType'; // introspected by toJSONSchema
+  shim.schema = type;
   return shim;
 }
 
+function* validateShape(plan: SchemaPlan, options: ShapeOptions, value: any, prefix: string, context?: ValidationContext): Generator<any, any, any> {
+  const isObjectResult = isObject(value, prefix, context);
+  if (isObjectResult === true) {
+    context = context || rootContext(value);
+    const shapeContext = options.unknownKeys ? { ...context, unknownKeys: options.unknownKeys } : context;
+    const result = yield* validatePlan(plan, value, prefix, shapeContext);
+    context.value = shapeContext.value;
+    return result;
+  }
+  return isObjectResult;
+}
+
 /**
- * Validates that the object matches the given shape.
+ * Validates that the object matches the given shape. Pass `unknownKeys` in the
+ * options to handle keys not found in the shape differently than its parent.
  */
-function ofShape(shape: any) {
-  const shim = (async (value: any, prefix: string = '') => {
-    const isObjectResult = isObject(value);
-    if (isObjectResult === true) {
-      return await validateData(shape, value, prefix);
-    }
-    return isObjectResult;
+function ofShape(shape: any, options: ShapeOptions = {}) {
+  if (options.unknownKeys) {
+    assertUnknownKeys(options.unknownKeys);
+  }
+  const plan = planSchema(shape);
+  const shim = ((value: any, prefix: string = '', context?: ValidationContext) => {
+    return run(validateShape(plan, options, value, prefix, context), context, prefix);
   }) as any;
   shim.priority = 0; // needed for ordering
+  shim.kind = 'ofShape'; // introspected by toJSONSchema
+  shim.schema = shape;
+  shim.unknownKeys = options.unknownKeys;
   return shim;
 }
 
 export {
+  rules,
+  atLeastOneOf,
+  oneOfKeys,
+  mutuallyExclusive,
+  allOrNone,
+  defaultTo,
+  unique,
+  uniqueBy,
+  contains,
+  requiredIf,
+  forbiddenIf,
+  equalsField,
+  when,
+  minLength,
+  maxLength,
+  length,
+  matches,
+  email,
+  url,
+  uri,
+  uuid,
+  isoDate,
+  isoDateTime,
+  hexColor,
+  ipv4,
+  ipv6,
+  slug,
+  e164,
+  safeString,
+  before,
+  after,
+  inPast,
+  inFuture,
+  dateRange,
+  nullable,
   range,
   inList,
+  notInList,
   notEmpty,
   required,
   ofType,
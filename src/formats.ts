@@ -0,0 +1,157 @@
+// practical subset of RFC 5322, the domain needs at least one dot
+const EMAIL = /^[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+(?:\.[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+)*@[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?(?:\.[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?)+$/;
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-7][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+const ISO_DATE_TIME = /^(\d{4}-\d{2}-\d{2})T(\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(Z|[+-](\d{2}):(\d{2}))?$/i;
+// without flags, so JSON Schema can use it as a pattern
+const HEX_COLOR = /^#(?:[0-9a-fA-F]{3}|[0-9a-fA-F]{4}|[0-9a-fA-F]{6}|[0-9a-fA-F]{8})$/;
+const IPV4 = /^(?:(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)$/;
+const IPV6_GROUP = /^[0-9a-f]{1,4}$/i;
+const SLUG = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const E164 = /^\+[1-9]\d{1,14}$/;
+// scheme, colon and the characters RFC 3986 allows, or percent-encoded ones
+const URI = /^[a-z][a-z0-9+.-]*:(?:[a-z0-9\-._~!$&'()*+,;=:@/?#[\]]|%[0-9a-f]{2})*$/i;
+// escaped strings, as lint rejects control characters in regex literals
+const NULL_BYTE = '\\u0000';
+// C0 and C1 control characters, except tab, line feed and carriage return
+const CONTROL_CHARACTERS = '[\\u0001-\\u0008\\u000B\\u000C\\u000E-\\u001F\\u007F-\\u009F]';
+
+function isEmail(value: string) {
+  return value.length <= 254 && EMAIL.test(value);
+}
+
+/**
+ * Absolute http or https URL with a host.
+ */
+function isUrl(value: string) {
+  try {
+    const url = new URL(value);
+    return (url.protocol === 'http:' || url.protocol === 'https:') && url.hostname !== '';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Absolute URI of any scheme, e.g. urn:isbn:0451450523 or mailto:jane@example.com.
+ */
+function isUri(value: string) {
+  return URI.test(value);
+}
+
+/**
+ * UUID of version 1 to 7, or of the given version only.
+ */
+function isUuid(value: string, version?: number) {
+  return UUID.test(value) && (version === undefined || value[14] === String(version));
+}
+
+/**
+ * Calendar date as YYYY-MM-DD, which must exist, e.g. 2023-02-29 does not.
+ */
+function isIsoDate(value: string) {
+  const match = ISO_DATE.exec(value);
+  if (!match) {
+    return false;
+  }
+  const [year, month, day] = [Number(match[1]), Number(match[2]), Number(match[3])];
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+/**
+ * Date and time as YYYY-MM-DDTHH:mm[:ss[.sss]] with an optional Z or +HH:mm offset.
+ */
+function isIsoDateTime(value: string) {
+  const match = ISO_DATE_TIME.exec(value);
+  if (!match || !isIsoDate(match[1])) {
+    return false;
+  }
+  const seconds = match[4] === undefined ? 0 : Number(match[4]);
+  const offsetHours = match[6] === undefined ? 0 : Number(match[6]);
+  const offsetMinutes = match[7] === undefined ? 0 : Number(match[7]);
+  return Number(match[2]) < 24 && Number(match[3]) < 60 && seconds < 60 && offsetHours < 24 && offsetMinutes < 60;
+}
+
+function isHexColor(value: string) {
+  return HEX_COLOR.test(value);
+}
+
+function isIpv4(value: string) {
+  return IPV4.test(value);
+}
+
+/**
+ * IPv6 address, including the compressed (::) and IPv4 embedded forms.
+ */
+function isIpv6(value: string) {
+  const halves = value.split('::');
+  if (halves.length > 2) {
+    return false;
+  }
+  const groups = halves.map((half) => (half === '' ? [] : half.split(':')));
+  const all = [...groups[0], ...(groups[1] || [])];
+  let size = all.length;
+  // only the end of the address can be an IPv4 address
+  const tail = groups[groups.length - 1];
+  const last = tail[tail.length - 1];
+  if (last !== undefined && last.indexOf('.') >= 0) {
+    if (!isIpv4(last)) {
+      return false;
+    }
+    // an IPv4 address takes the space of two groups
+    all.pop();
+    size++;
+  }
+  if (!all.every((group) => IPV6_GROUP.test(group))) {
+    return false;
+  }
+  return halves.length === 2 ? size < 8 : size === 8;
+}
+
+/**
+ * Lowercase letters and numbers, separated by single hyphens.
+ */
+function isSlug(value: string) {
+  return SLUG.test(value);
+}
+
+/**
+ * International phone number, e.g. +14155552671.
+ */
+function isE164(value: string) {
+  return E164.test(value);
+}
+
+/**
+ * Characters that are unsafe to store or render, by class. Checked in this order, so
+ * a null byte is reported as such rather than as a control character.
+ */
+const unsafeCharacters: Record<string, RegExp> = {
+  nullByte: new RegExp(NULL_BYTE),
+  controlCharacters: new RegExp(CONTROL_CHARACTERS),
+  zeroWidth: /[\u180E\u200B-\u200D\u2060\uFEFF]/,
+  bidi: /[\u061C\u200E\u200F\u202A-\u202E\u2066-\u2069]/,
+  // the start of a tag, comment or declaration, e.g. <script or </div or <!--
+  markup: /<[a-z!/?]/i,
+  // e.g. $where or $gt, which MongoDB treats as operators
+  mongoOperator: /^\$/,
+};
+
+export {
+  unsafeCharacters,
+  HEX_COLOR,
+  SLUG,
+  E164,
+  isEmail,
+  isUrl,
+  isUri,
+  isUuid,
+  isIsoDate,
+  isIsoDateTime,
+  isHexColor,
+  isIpv4,
+  isIpv6,
+  isSlug,
+  isE164,
+};
@@ -1,22 +1,44 @@
 import * as basicTypes from './types-basic'
 import * as complexTypes from './types-complex'
-import * as conditions from './conditions'
+import * as allConditions from './conditions'
 import * as validation from './validation'
+import * as translators from './translators'
+import { withMessage } from './messages'
+import { fromJSONSchema, toJSONSchema } from './json-schema'
+import { addLocale, setLocale } from './locale'
+import type { Conditions, Types } from './types'
 
 // Re-export types for consumers
-export type { Validator, ValidatorFunction, ValidatorProperties, ValidationError } from './types'
+export type { Validator, ValidatorFunction, ValidatorProperties, ContainsOptions, DateLike, FieldPredicate, LengthOptions, LengthUnit, ListOptions, ListValue, SafeStringClass, SafeStringOptions, SafeStringReport, TypedValidator, TypeValidator, ConstrainedValidator, Condition, Infer, Types, Conditions, ValidationError, BranchError, Diagnostics, UnionOptions, ValidationOptions, ValidationResult, CompiledValidator, JSONSchemaOptions, ShapeOptions, UnknownKeysPolicy, Message, MessageCatalog } from './types'
 
 const types = {
   ...basicTypes,
   ...complexTypes
-};
+} as unknown as Types;
+
+const conditions = allConditions as unknown as Conditions;
+
+// listed rather than spread, validation also exports internals like planSchema
+const { compile, isValid, validate, validateSync, validateData, validateDataSync, toKeys } = validation;
 
 const lib = {
-  ...validation,
+  compile,
+  isValid,
+  validate,
+  validateSync,
+  validateData,
+  validateDataSync,
+  toKeys,
   types,
   conditions,
+  translators,
+  withMessage,
+  toJSONSchema,
+  fromJSONSchema,
+  addLocale,
+  setLocale,
 };
 
 export default lib;
-export const { validateData, toKeys } = validation;
-export { types, conditions };
+export { compile, isValid, validate, validateSync, validateData, validateDataSync, toKeys };
+export { types, conditions, translators, withMessage, toJSONSchema, fromJSONSchema, addLocale, setLocale };
@@ -0,0 +1,637 @@
+import { assertUnknownKeys, attachOptions, deepEqual, fail, rules } from './utils'
+import * as basicTypes from './types-basic'
+import * as complexTypes from './types-complex'
+import * as conditions from './conditions'
+import { E164, HEX_COLOR, SLUG } from './formats'
+import type { JSONSchemaOptions, UnknownKeysPolicy, ValidationContext } from './types'
+
+const DRAFT = 'https://json-schema.org/draft/2020-12/schema';
+
+const typeKeywords: Record<string, string> = {
+  string: 'string',
+  boolean: 'boolean',
+  numeric: 'number',
+  integer: 'integer',
+  array: 'array',
+  object: 'object',
+};
+
+// formats known to JSON Schema
+const jsonFormats: Record<string, string> = {
+  email: 'email',
+  // first, so 'uri' is imported as any URI rather than only http and https
+  uri: 'uri',
+  url: 'uri',
+  uuid: 'uuid',
+  isoDate: 'date',
+  isoDateTime: 'date-time',
+  ipv4: 'ipv4',
+  ipv6: 'ipv6',
+};
+
+// formats JSON Schema doesn't know, as patterns without flags
+const jsonPatterns: Record<string, string> = {
+  hexColor: HEX_COLOR.source,
+  slug: SLUG.source,
+  e164: E164.source,
+};
+
+/**
+ * Adds a note about a part of the schema that JSON Schema can't express.
+ */
+function notRepresentable(node: Record<string, any>, name: string) {
+  const comment = `${name} can not be represented in JSON Schema`;
+  node.$comment = node.$comment ? `${node.$comment}; ${comment}` : comment;
+  return node;
+}
+
+function isRequired(schema: any): boolean {
+  if (typeof schema !== 'function') {
+    // object literals are optional
+    return false;
+  }
+  if (schema.kind === 'schema') {
+    // wrapped by withMessage
+    return isRequired(schema.schema);
+  }
+  return schema.required === true;
+}
+
+function convertLiteral(schema: any, prefix: string, unknownKeys: UnknownKeysPolicy) {
+  const keys = Object.keys(schema).filter((key) => key !== '*');
+  const wildcard = '*' in schema ? convertNode(schema['*'], prefix ? `${prefix}.*` : '*', unknownKeys) : undefined;
+
+  const properties: Record<string, any> = {};
+  const required: string[] = [];
+  for (const key of keys) {
+    const newPrefix = prefix ? `${prefix}.${key}` : key;
+    properties[key] = convertNode(schema[key], newPrefix, unknownKeys);
+    if (isRequired(schema[key])) {
+      required.push(key);
+    }
+  }
+  // a lone wildcard has no properties
+  const node: Record<string, any> = wildcard && !keys.length ? { type: 'object' } : { type: 'object', properties };
+  if (required.length) {
+    node.required = required;
+  }
+  for (const rule of schema[rules] || []) {
+    applyCondition(node, rule, 'object', prefix, unknownKeys);
+  }
+  if (wildcard) {
+    // the wildcard covers every other key
+    node.additionalProperties = wildcard;
+  } else if (unknownKeys === 'error') {
+    // extraneous keys are reported
+    node.additionalProperties = false;
+  }
+  if ((schema[rules] || []).some((rule: any) => rule && rule.allowsNull)) {
+    return allowNull(node);
+  }
+  return node;
+}
+
+function allowNull(node: Record<string, any>) {
+  if (node.enum) {
+    node.enum = [...node.enum, null];
+  }
+  if (typeof node.type === 'string') {
+    node.type = [node.type, 'null'];
+    return node;
+  }
+  return { anyOf: [node, { type: 'null' }] };
+}
+
+function keyGroup(kind: string, keys: string[]) {
+  const each = keys.map((key) => ({ required: [key] }));
+  switch (kind) {
+    case 'atLeastOneOf':
+      return { anyOf: each };
+    case 'oneOfKeys':
+      return { oneOf: each };
+    case 'mutuallyExclusive':
+      // no two of the keys
+      return { not: { anyOf: keys.flatMap((key, i) => keys.slice(i + 1).map((other) => ({ required: [key, other] }))) } };
+    default:
+      // allOrNone, every key requires the others
+      return { dependentRequired: Object.fromEntries(keys.map((key) => [key, keys.filter((other) => other !== key)])) };
+  }
+}
+
+function applyCondition(node: Record<string, any>, condition: any, kind: string, prefix: string, unknownKeys: UnknownKeysPolicy) {
+  const params = condition.params || {};
+  switch (condition.kind) {
+    case 'required':
+    case 'required.notNull':
+    case 'nullable':
+      // handled by the parent object and after all conditions
+      return;
+    case 'defaultTo': {
+      const value = typeof params.value === 'function' ? params.value() : params.value;
+      if (typeof value !== 'function') {
+        node.default = value;
+      }
+      return;
+    }
+    case 'notEmpty':
+      node.minLength = 1;
+      return;
+    case 'inList':
+      if (condition.caseInsensitive) {
+        notRepresentable(node, 'inList ignoring case');
+      } else {
+        node.enum = params.list;
+      }
+      return;
+    case 'notInList':
+      if (condition.caseInsensitive) {
+        notRepresentable(node, 'notInList ignoring case');
+      } else {
+        node.not = { enum: params.list };
+      }
+      return;
+    case 'minLength':
+    case 'maxLength':
+    case 'length':
+      if (condition.unit === 'graphemes') {
+        notRepresentable(node, `${condition.kind} counting graphemes`);
+        return;
+      }
+      // JSON Schema counts code points, which only differ from code units for characters like emojis
+      if (condition.kind !== 'maxLength') node.minLength = condition.kind === 'length' ? params.length : params.min;
+      if (condition.kind !== 'minLength') node.maxLength = condition.kind === 'length' ? params.length : params.max;
+      return;
+    case 'matches':
+      if (params.regex.flags.replace(/[gu]/g, '') !== '') {
+        notRepresentable(node, `Flags of ${params.regex}`);
+      }
+      node.pattern = params.regex.source;
+      return;
+    case 'range':
+      if (kind === 'array') {
+        if (params.lower !== undefined) node.minItems = params.lower;
+        if (params.upper !== undefined) node.maxItems = params.upper;
+      } else if (kind === 'record') {
+        if (params.lower !== undefined) node.minProperties = params.lower;
+        if (params.upper !== undefined) node.maxProperties = params.upper;
+      } else if (kind === 'numeric' || kind === 'integer') {
+        if (params.lower !== undefined) node.minimum = params.lower;
+        if (params.upper !== undefined) node.maximum = params.upper;
+      } else {
+        notRepresentable(node, `range on ${kind}`);
+      }
+      return;
+    case 'format':
+      if (condition.format === 'uuid.version') {
+        node.format = 'uuid';
+        node.pattern = `^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-${params.version}[0-9a-fA-F]{3}-[89abAB][0-9a-fA-F]{3}-[0-9a-fA-F]{12}$`;
+      } else if (jsonFormats[condition.format]) {
+        node.format = jsonFormats[condition.format];
+      } else {
+        node.pattern = jsonPatterns[condition.format];
+      }
+      return;
+    case 'atLeastOneOf':
+    case 'oneOfKeys':
+    case 'mutuallyExclusive':
+    case 'allOrNone':
+      // several of them can apply to the same object
+      node.allOf = [...(node.allOf || []), keyGroup(condition.kind, params.keys)];
+      return;
+    case 'unique':
+      node.uniqueItems = true;
+      return;
+    case 'contains':
+      node.contains = convertNode(condition.schema, prefix ? `${prefix}.*` : '*', unknownKeys);
+      if (params.min !== 1) node.minContains = params.min;
+      if (params.max !== undefined) node.maxContains = params.max;
+      return;
+    case 'ofType':
+      node.items = convertNode(condition.schema, prefix ? `${prefix}.*` : '*', unknownKeys);
+      return;
+    case 'ofShape':
+      Object.assign(node, convertNode(condition.schema, prefix, condition.unknownKeys || unknownKeys));
+      return;
+    case 'ifType': {
+      // keywords of a schema without a type, see fromJSONSchema
+      const keywords = convertNode(condition.schema, prefix, unknownKeys);
+      delete keywords.type;
+      Object.assign(node, keywords);
+      return;
+    }
+  }
+  if (condition.isTranslator) {
+    // the document describes the values after translation
+    return;
+  }
+  notRepresentable(node, `Condition ${condition.kind || condition.name || 'function'}`);
+}
+
+/**
+ * Values of the key picking a schema of `isOneOfByKey`, which also accepts numbers
+ * and booleans for the tags they turn into.
+ */
+function tagValues(tag: string) {
+  if (tag === 'true' || tag === 'false') {
+    return { enum: [tag, tag === 'true'] };
+  }
+  if (tag !== '' && String(Number(tag)) === tag) {
+    return { enum: [tag, Number(tag)] };
+  }
+  return { const: tag };
+}
+
+function convertValidator(validator: any, prefix: string, unknownKeys: UnknownKeysPolicy): Record<string, any> {
+  if (validator.type) {
+    // type with conditions attached
+    let node = convertValidator(validator.type, prefix, unknownKeys);
+    for (const condition of validator.conditions) {
+      applyCondition(node, condition, validator.kind, prefix, unknownKeys);
+    }
+    // required.notNull rejects null even when nullable lets it pass
+    const notNull = validator.conditions.some((condition: any) => condition && condition.kind === 'required.notNull');
+    if (!notNull && validator.conditions.some((condition: any) => condition && condition.allowsNull)) {
+      node = allowNull(node);
+    }
+    return node;
+  }
+  if (validator.kind === 'anyOf' || validator.kind === 'oneOf') {
+    return { [validator.kind]: validator.types.map((type: any) => convertNode(type, prefix, unknownKeys)) };
+  }
+  if (validator.kind === 'record') {
+    return {
+      type: 'object',
+      propertyNames: convertNode(validator.keys, prefix, unknownKeys),
+      additionalProperties: convertNode(validator.values, prefix ? `${prefix}.*` : '*', unknownKeys),
+    };
+  }
+  if (validator.kind === 'tuple') {
+    return {
+      type: 'array',
+      prefixItems: validator.types.map((type: any, i: number) => convertNode(type, prefix ? `${prefix}.${i}` : `${i}`, unknownKeys)),
+      minItems: validator.types.length,
+      items: validator.rest === undefined ? false : convertNode(validator.rest, prefix ? `${prefix}.*` : '*', unknownKeys),
+    };
+  }
+  if (validator.kind === 'oneOfByKey') {
+    return {
+      oneOf: Object.keys(validator.branches).map((tag) => {
+        const node = convertNode(validator.branches[tag], prefix, unknownKeys);
+        node.properties = { ...node.properties, [validator.key]: tagValues(tag) };
+        node.required = [validator.key, ...(node.required || []).filter((key: string) => key !== validator.key)];
+        return node;
+      }),
+    };
+  }
+  if (validator.kind === 'when') {
+    // the predicate is a function of other fields
+    return notRepresentable({}, 'when');
+  }
+  if (validator.kind === 'any') {
+    return {};
+  }
+  if (validator.kind === 'date') {
+    // JSON has no dates, they are sent as strings
+    return validator.isoStrings
+      ? { type: 'string', anyOf: [{ format: 'date' }, { format: 'date-time' }] }
+      : { type: 'string', format: 'date-time' };
+  }
+  if (validator.kind === 'schema') {
+    // wrapped by withMessage
+    return convertNode(validator.schema, prefix, unknownKeys);
+  }
+  if (typeKeywords[validator.kind]) {
+    return { type: typeKeywords[validator.kind] };
+  }
+  return notRepresentable({}, validator.kind === 'custom' ? 'isCustom' : `Validator ${validator.name || 'function'}`);
+}
+
+function convertNode(schema: any, prefix: string, unknownKeys: UnknownKeysPolicy): Record<string, any> {
+  if (typeof schema === 'function') {
+    return convertValidator(schema, prefix, unknownKeys);
+  }
+  if (schema === undefined || schema === null) {
+    // helps the user construct valid schemas
+    throw Error(`incorrect schema value for ${prefix}`)
+  }
+  return convertLiteral(schema, prefix, unknownKeys);
+}
+
+/**
+ * Converts a schema into a JSON Schema (draft 2020-12) document, e.g. to share
+ * request contracts with other teams. Keys not found in the schema are only
+ * forbidden when validating with the `unknownKeys` policy 'error', which is the default.
+ *
+ * Validators that JSON Schema can't express, like `isCustom`, accept any value
+ * in the document and are explained with a `$comment`.
+ *
+ * example:
+ *
+ * const document = toJSONSchema({
+ *   name: types.isString.and(conditions.required),
+ *   tags: types.isArray.and(conditions.ofType(types.isString)),
+ * });
+ */
+function toJSONSchema(schema: any, options: JSONSchemaOptions = {}): Record<string, any> {
+  const unknownKeys = options.unknownKeys || 'error';
+  assertUnknownKeys(unknownKeys);
+  return {
+    $schema: DRAFT,
+    ...convertNode(schema, '', unknownKeys),
+  };
+}
+
+// accepts any value, used for JSON Schemas without a type
+const isAny: any = basicTypes.baseShim(() => true);
+attachOptions(isAny);
+isAny.kind = 'any'; // introspected by toJSONSchema
+
+const fromTypes: Record<string, any> = {
+  string: basicTypes.isString,
+  boolean: basicTypes.isBoolean,
+  number: basicTypes.isNumeric,
+  integer: basicTypes.isInteger,
+  array: basicTypes.isArray,
+  object: basicTypes.isObject,
+};
+
+// keywords that don't affect validation
+const annotations = [
+  '$schema', '$id', '$comment', '$defs', 'definitions', 'title', 'description',
+  'default', 'examples', 'deprecated', 'readOnly', 'writeOnly',
+];
+
+// keywords that only apply to values of a type, which is what they imply when `type` is missing
+const impliedTypes: Record<string, string> = {
+  properties: 'object',
+  required: 'object',
+  additionalProperties: 'object',
+  items: 'array',
+  minItems: 'array',
+  maxItems: 'array',
+  uniqueItems: 'array',
+  contains: 'array',
+  minContains: 'array',
+  maxContains: 'array',
+  minLength: 'string',
+  maxLength: 'string',
+  pattern: 'string',
+  format: 'string',
+  minimum: 'number',
+  maximum: 'number',
+};
+
+const supported = [
+  ...annotations, ...Object.keys(impliedTypes),
+  'type', 'enum', 'const', 'anyOf', 'oneOf', '$ref',
+];
+
+function toPointer(pointer: string, key: string | number) {
+  return `${pointer}/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+}
+
+interface ImportState {
+  doc: any;
+  unsupported: string[];
+  refs: string[];
+}
+
+function resolveRef(ref: string, state: ImportState) {
+  let target = state.doc;
+  for (const part of ref.split('/').slice(1)) {
+    const key = part.replace(/~1/g, '/').replace(/~0/g, '~');
+    target = target && typeof target === 'object' ? target[key] : undefined;
+  }
+  return target;
+}
+
+function importFormat(format: string, pointer: string, state: ImportState) {
+  const name = Object.keys(jsonFormats).find((key) => jsonFormats[key] === format);
+  if (!name) {
+    state.unsupported.push(`${toPointer(pointer, 'format')} (${format})`);
+    return isAny;
+  }
+  return (conditions as any)[name];
+}
+
+/**
+ * Same as `inList`, but compares objects and arrays by their contents, which
+ * `enum` and `const` allow.
+ */
+function inValues(list: any[]) {
+  const validator = ((value: any, _prefix?: string, context?: ValidationContext) => {
+    if (list.some((item) => deepEqual(item, value))) {
+      return true;
+    }
+    return fail(context, 'inList', { list });
+  }) as any;
+  validator.priority = 2; // needed for ordering
+  validator.params = { list }; // exposed to custom messages
+  validator.kind = 'inList'; // introspected by toJSONSchema
+  return validator;
+}
+
+function importValues(node: any) {
+  const lists = [];
+  if (node.enum !== undefined) {
+    lists.push(node.enum);
+  }
+  if (node.const !== undefined) {
+    lists.push([node.const]);
+  }
+  return lists.map((list) => (list.some((item: any) => item && typeof item === 'object') ? inValues(list) : conditions.inList(list)));
+}
+
+/**
+ * Applies the keywords of a type only to values of that type, for schemas without
+ * a `type`. Values of any other type are accepted, same as in JSON Schema.
+ */
+function ifType(type: string, validator: any) {
+  const condition = ((value: any, prefix?: string, context?: ValidationContext) => {
+    if (fromTypes[type](value) !== true) {
+      return true;
+    }
+    return validator(value, prefix, context);
+  }) as any;
+  condition.priority = 0; // needed for ordering
+  condition.kind = 'ifType'; // introspected by toJSONSchema
+  condition.schema = validator;
+  return condition;
+}
+
+/**
+ * Converts the keywords of a single type into conditions, except `enum` and `const`.
+ */
+function importKeywords(type: string, node: any, pointer: string, state: ImportState) {
+  const options = [];
+  if (type === 'string') {
+    // JSON Schema counts code points
+    if (node.minLength !== undefined) options.push(conditions.minLength(node.minLength, { unit: 'codePoints' }));
+    if (node.maxLength !== undefined) options.push(conditions.maxLength(node.maxLength, { unit: 'codePoints' }));
+    if (node.pattern !== undefined) options.push(conditions.matches(new RegExp(node.pattern, 'u')));
+    if (node.format !== undefined) options.push(importFormat(node.format, pointer, state));
+  }
+  if (type === 'number' || type === 'integer') {
+    if (node.minimum !== undefined || node.maximum !== undefined) {
+      options.push(conditions.range(node.minimum, node.maximum));
+    }
+  }
+  if (type === 'array') {
+    if (node.items !== undefined) {
+      options.push(conditions.ofType(importNode(node.items, toPointer(pointer, 'items'), state)));
+    }
+    if (node.minItems !== undefined || node.maxItems !== undefined) {
+      options.push(conditions.range(node.minItems, node.maxItems));
+    }
+    if (node.uniqueItems === true) {
+      options.push(conditions.unique());
+    }
+    if (node.contains !== undefined) {
+      const contained = importNode(node.contains, toPointer(pointer, 'contains'), state);
+      options.push(conditions.contains(contained, { min: node.minContains, max: node.maxContains }));
+    }
+  }
+  if (type === 'object') {
+    options.push(importShape(node, pointer, state));
+  }
+  return options;
+}
+
+/**
+ * Converts the keywords of a single type, returning the type with conditions attached.
+ */
+function importType(type: string, node: any, pointer: string, state: ImportState, extra: any[]) {
+  return (fromTypes[type] || isAny).and(...extra, ...importValues(node), ...importKeywords(type, node, pointer, state));
+}
+
+function importShape(node: any, pointer: string, state: ImportState) {
+  const shape: Record<string, any> = {};
+  const properties = node.properties || {};
+  const required: string[] = node.required || [];
+  for (const key of Object.keys(properties)) {
+    const extra = required.indexOf(key) >= 0 ? [conditions.required] : [];
+    shape[key] = importNode(properties[key], toPointer(toPointer(pointer, 'properties'), key), state, extra);
+  }
+  for (const key of required) {
+    if (!shape[key]) {
+      // required, but any value is fine
+      shape[key] = isAny.and(conditions.required);
+    }
+  }
+
+  const additional = node.additionalProperties;
+  if (additional === false) {
+    return conditions.ofShape(shape, { unknownKeys: 'error' });
+  }
+  if (additional === undefined || additional === true) {
+    return conditions.ofShape(shape, { unknownKeys: 'allow' });
+  }
+  // explicit keys take precedence over the wildcard
+  return conditions.ofShape({ ...shape, '*': importNode(additional, toPointer(pointer, 'additionalProperties'), state) });
+}
+
+function importNode(node: any, pointer: string, state: ImportState, extra: any[] = []): any {
+  if (node === true) {
+    return isAny.and(...extra);
+  }
+  if (!node || typeof node !== 'object' || Array.isArray(node)) {
+    state.unsupported.push(`${pointer} (${JSON.stringify(node)})`);
+    return isAny.and(...extra);
+  }
+
+  for (const keyword of Object.keys(node)) {
+    if (supported.indexOf(keyword) < 0) {
+      state.unsupported.push(toPointer(pointer, keyword));
+    }
+  }
+
+  if (node.$ref !== undefined) {
+    const ref = node.$ref;
+    const target = typeof ref === 'string' && (ref === '#' || ref.startsWith('#/')) ? resolveRef(ref, state) : undefined;
+    const others = Object.keys(node).filter((keyword) => keyword !== '$ref' && annotations.indexOf(keyword) < 0);
+    if (target === undefined || others.length) {
+      state.unsupported.push(`${toPointer(pointer, '$ref')} (${ref}${others.length ? ` alongside ${others}` : ''})`);
+      return isAny.and(...extra);
+    }
+    if (state.refs.indexOf(ref) >= 0) {
+      state.unsupported.push(`${toPointer(pointer, '$ref')} (recursive ${ref})`);
+      return isAny.and(...extra);
+    }
+    state.refs.push(ref);
+    const result = importNode(target, ref, state, extra);
+    state.refs.pop();
+    return result;
+  }
+
+  let types: string[] = node.type === undefined ? [] : [].concat(node.type);
+  for (const type of types) {
+    if (type !== 'null' && !fromTypes[type]) {
+      state.unsupported.push(`${toPointer(pointer, 'type')} (${type})`);
+    }
+  }
+  const nullable = types.indexOf('null') >= 0;
+  types = types.filter((type) => type !== 'null');
+  if (nullable) {
+    extra = [...extra, conditions.nullable];
+  }
+
+  for (const combinator of ['anyOf', 'oneOf']) {
+    if (node[combinator] !== undefined) {
+      const others = Object.keys(node).filter((keyword) => keyword !== combinator && annotations.indexOf(keyword) < 0);
+      if (others.length) {
+        state.unsupported.push(`${toPointer(pointer, combinator)} (alongside ${others})`);
+      }
+      // null is handled as nullable, which also works for a union
+      const branches = node[combinator].filter((branch: any) => !(branch && branch.type === 'null' && Object.keys(branch).length === 1));
+      if (branches.length < node[combinator].length) {
+        extra = [...extra, conditions.nullable];
+      }
+      const validators = branches.map((branch: any, i: number) => importNode(branch, toPointer(toPointer(pointer, combinator), i), state));
+      const shim = combinator === 'anyOf' ? complexTypes.isAnyOf(validators) : complexTypes.isOneOf(validators);
+      return shim.and(...extra);
+    }
+  }
+
+  if (node.type === undefined) {
+    const implied = Object.keys(node).filter((keyword) => impliedTypes[keyword]).map((keyword) => impliedTypes[keyword]);
+    const conditional = implied
+      .filter((type, i) => implied.indexOf(type) === i)
+      .map((type) => ifType(type, fromTypes[type].and(...importKeywords(type, node, pointer, state))));
+    return isAny.and(...extra, ...importValues(node), ...conditional);
+  }
+  if (types.length > 1) {
+    return complexTypes.isAnyOf(types.map((type) => importType(type, node, pointer, state, []))).and(...extra);
+  }
+  if (types.length === 0 && nullable) {
+    // only null is allowed
+    return complexTypes.isAnyOf([]).and(...extra);
+  }
+  return importType(types[0], node, pointer, state, extra);
+}
+
+/**
+ * Converts a JSON Schema document into a schema, so it is validated with the same
+ * engine and error format as any other schema. Covers `type`, `properties`, `required`,
+ * `additionalProperties`, `items`, `enum`, `const`, `minimum`/`maximum`, `minLength`/`maxLength`,
+ * `minItems`/`maxItems`, `uniqueItems`, `contains`/`minContains`/`maxContains`, `pattern`, `format`,
+ * `anyOf`/`oneOf` and local `$ref`s. Annotations like `title` are ignored. Any other keyword
+ * throws an error listing where it was found.
+ *
+ * example:
+ *
+ * const schema = fromJSONSchema(JSON.parse(partnerContract));
+ * const result = await validateData(schema, req.body);
+ */
+function fromJSONSchema(doc: Record<string, any>) {
+  const state: ImportState = { doc, unsupported: [], refs: [] };
+  const schema = importNode(doc, '#', state);
+  if (state.unsupported.length) {
+    throw Error(`Unsupported JSON Schema keywords: ${state.unsupported.join(', ')}`);
+  }
+  return schema;
+}
+
+export {
+  fromJSONSchema,
+  toJSONSchema,
+};
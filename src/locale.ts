@@ -0,0 +1,68 @@
+import en from './locales/en'
+import type { MessageCatalog } from './types'
+
+const catalogs: Record<string, MessageCatalog> = { en };
+let currentLocale = 'en';
+
+/**
+ * Registers a message catalog for a locale. Registering an existing locale
+ * merges the messages into it, which also allows overriding English messages.
+ *
+ * example:
+ *
+ * addLocale('de', {
+ *   'required': 'Wert fehlt',
+ *   'range': 'Wert liegt nicht zwischen {lower} und {upper}',
+ * });
+ */
+function addLocale(locale: string, catalog: MessageCatalog) {
+  catalogs[locale] = { ...catalogs[locale], ...catalog };
+}
+
+/**
+ * Sets the locale used when none is passed to `validateData`.
+ */
+function setLocale(locale: string) {
+  assertLocale(locale);
+  currentLocale = locale;
+}
+
+function getLocale() {
+  return currentLocale;
+}
+
+function assertLocale(locale: string) {
+  if (!catalogs[locale]) {
+    throw Error(`Unknown locale: ${locale}`);
+  }
+}
+
+/**
+ * Builds the message for an error code, filling in `{param}` placeholders.
+ * Falls back to English when the locale does not translate the code.
+ */
+function formatMessage(code: string, params: Record<string, any>, locale: string = currentLocale): string | undefined {
+  const catalog = catalogs[locale] || {};
+  const template = catalog[code] !== undefined ? catalog[code] : catalogs.en[code];
+  if (template === undefined) {
+    return undefined;
+  }
+  if (typeof template === 'function') {
+    return template(params);
+  }
+  if (template.indexOf('{') < 0) {
+    // most messages have no placeholders
+    return template;
+  }
+  return template.replace(/\{(\w+)\}/g, (match: string, name: string) => (
+    name in params ? String(params[name]) : match
+  ));
+}
+
+export {
+  addLocale,
+  setLocale,
+  getLocale,
+  assertLocale,
+  formatMessage,
+};
@@ -0,0 +1,96 @@
+import type { MessageCatalog } from '../types'
+
+// long lists are cut short, the full list is in the params of the error
+function formatList(list: any[]) {
+  const shown = list.length > 10 ? [...list.slice(0, 10), `... ${list.length - 10} more`] : list;
+  return `[${shown}]`;
+}
+
+// dates at midnight UTC are shown without the time
+function formatDate(date: any) {
+  const iso = new Date(date).toISOString();
+  return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso;
+}
+
+/**
+ * English messages for all built-in error codes. Other catalogs only need to
+ * provide the codes they translate, missing codes fall back to this catalog.
+ */
+const en: MessageCatalog = {
+  'type.string': 'value is not a string',
+  'type.boolean': 'value is not a boolean',
+  'type.number': 'value is not a number',
+  'type.integer': 'value is not an integer',
+  'type.function': 'value is not a function',
+  'type.array': 'value is not an array',
+  'type.object': 'value is not an object',
+  'type.date': 'value is not a valid date',
+  'type.date.iso': 'value is not a valid date or ISO 8601 date string',
+  'required': 'value is required but missing',
+  'required.notNull': 'value is required and can not be null',
+  'requiredIf': 'value is required but missing',
+  'forbiddenIf': 'value is not allowed',
+  'equalsField': 'value must match {field}',
+  'notEmpty': 'string value can not be empty',
+  'inList': ({ list }) => `value does not match accepted values: ${formatList(list)}`,
+  'notInList': ({ list }) => `value must not be one of: ${formatList(list)}`,
+  'range': 'value falls outside of range ({lower}, {upper})',
+  'range.min': 'value must be greater than or equal to {lower}',
+  'range.max': 'value must be less than or equal to {upper}',
+  'range.size': 'array size falls outside of range ({lower}, {upper})',
+  'range.size.min': 'array size must be greater than or equal to {lower}',
+  'range.size.max': 'array size must be less than or equal to {upper}',
+  'range.entries': 'number of entries falls outside of range ({lower}, {upper})',
+  'range.entries.min': 'number of entries must be greater than or equal to {lower}',
+  'range.entries.max': 'number of entries must be less than or equal to {upper}',
+  'range.type': 'range can only be checked for numbers, arrays and records',
+  'length.min': 'string must be at least {min} characters long',
+  'length.max': 'string must be at most {max} characters long',
+  'length': 'string must be exactly {length} characters long',
+  'matches': 'value does not match the pattern {regex}',
+  'format.email': 'value is not a valid email address',
+  'format.url': 'value is not a valid http or https URL',
+  'format.uri': 'value is not a valid absolute URI',
+  'format.uuid': 'value is not a valid UUID',
+  'format.uuid.version': 'value is not a valid version {version} UUID',
+  'format.isoDate': 'value is not a valid ISO 8601 date (YYYY-MM-DD)',
+  'format.isoDateTime': 'value is not a valid ISO 8601 date-time (YYYY-MM-DDTHH:mm:ssZ)',
+  'format.hexColor': 'value is not a valid hex color, e.g. #ff0000',
+  'format.ipv4': 'value is not a valid IPv4 address',
+  'format.ipv6': 'value is not a valid IPv6 address',
+  'format.slug': 'value is not a valid slug of lowercase letters, numbers and hyphens',
+  'format.e164': 'value is not a valid E.164 phone number, e.g. +14155552671',
+  'date.before': ({ date }) => `date must be before ${formatDate(date)}`,
+  'date.after': ({ date }) => `date must be after ${formatDate(date)}`,
+  'date.inPast': 'date must be in the past',
+  'date.inFuture': 'date must be in the future',
+  'date.range': ({ min, max }) => `date must be between ${formatDate(min)} and ${formatDate(max)}`,
+  'date.range.min': ({ min }) => `date must be on or after ${formatDate(min)}`,
+  'date.range.max': ({ max }) => `date must be on or before ${formatDate(max)}`,
+  'safeString.nullByte': 'value contains a null byte',
+  'safeString.controlCharacters': 'value contains control characters',
+  'safeString.zeroWidth': 'value contains zero-width characters',
+  'safeString.bidi': 'value contains bidirectional text control characters',
+  'safeString.markup': 'value contains HTML markup',
+  'safeString.mongoOperator': 'value starts with $, which could be treated as a MongoDB operator',
+  'anyOf': 'value failed to match one of the the allowed types',
+  'oneOf': 'value failed to match exactly one of the allowed types',
+  'oneOf.multiple': 'value matches more than one of the allowed types',
+  'record.key': ({ key, issue }) => `key ${key} is not valid: ${issue.error}`,
+  'keys.atLeastOneOf': ({ keys }) => `at least one of ${formatList(keys)} is required`,
+  'keys.oneOfKeys': ({ keys, present }) => (present.length
+    ? `only one of ${formatList(keys)} is allowed, found ${formatList(present)}`
+    : `exactly one of ${formatList(keys)} is required`),
+  'keys.mutuallyExclusive': ({ keys, present }) => `only one of ${formatList(keys)} is allowed, found ${formatList(present)}`,
+  'keys.allOrNone': ({ keys, missing }) => `either all or none of ${formatList(keys)} are required, missing ${formatList(missing)}`,
+  'unique': 'value is a duplicate of item {index}',
+  'unique.by': ({ key, index }) => (key === undefined ? `value is a duplicate of item ${index}` : `${key} is the same as in item ${index}`),
+  'contains.min': 'array must contain at least {min} matching items',
+  'contains.max': 'array must contain at most {max} matching items',
+  'oneOfByKey': ({ tags }) => `value must be one of: ${formatList(tags)}`,
+  'tuple.min': 'array must have at least {min} items',
+  'tuple.max': 'array must have at most {max} items',
+  'extraneous': 'extraneous key found',
+};
+
+export default en;
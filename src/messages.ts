@@ -0,0 +1,88 @@
+import { isObject } from './types-basic'
+import { planSchema, validatePlan } from './validation'
+import { attachOptions, isPromise, run, toIssue } from './utils'
+import type { Message, ValidationContext } from './types'
+
+function resolveMessage(message: Message, value: any, key: string, params: Record<string, any>) {
+  if (typeof message === 'function') {
+    return message(value, key, params);
+  }
+  return message;
+}
+
+/**
+ * Replaces any failed result with the given message. The code and parameters of the
+ * (first) original error are kept. Promises are resolved first so sync validators stay sync.
+ */
+function overrideResult(result: any, message: Message, value: any, key: string, params: Record<string, any>, context?: ValidationContext): any {
+  if (isPromise(result)) {
+    return result.then((resolved: any) => overrideResult(resolved, message, value, key, params, context));
+  }
+  if (result === true) {
+    return true;
+  }
+  const issue = Array.isArray(result) ? result[0] : result;
+  if (issue && typeof issue === 'object') {
+    params = issue.params;
+  }
+  return toIssue(context, resolveMessage(message, value, key, params), issue);
+}
+
+/**
+ * Overrides the error message of a type, a condition or a whole schema node.
+ * The message can be a static string or a function receiving the value, the key
+ * path and the condition parameters.
+ *
+ * - type (e.g. `types.isString`): replaces the type error only, `and()` is still available.
+ * - condition (e.g. `conditions.range(0, 100)`): replaces the error of that condition only.
+ * - schema node (an object literal or a type with conditions attached): replaces every
+ *   error of the node with a single error at the node's key.
+ *
+ * example:
+ *
+ * const schema = {
+ *   height: types.isNumeric.and(
+ *     withMessage(conditions.range(0, 100), 'Height must be between 0 and 100 cm')
+ *   ),
+ * }
+ */
+function withMessage<T>(targetValidator: T, message: Message): T {
+  const target: any = targetValidator;
+  if (typeof target === 'function' && typeof target.and === 'function') {
+    // type shim
+    const shim = ((value: any, prefix: string = '', context?: ValidationContext) => {
+      return overrideResult(target(value, prefix, context), message, value, prefix, {}, context);
+    }) as any;
+    Object.assign(shim, target); // keeps the metadata of the type, and() is replaced below
+    attachOptions(shim);
+    return shim;
+  }
+
+  if (typeof target === 'function' && target.priority !== undefined) {
+    // condition, keeps priority and any other special case properties
+    const condition = ((value: any, prefix: string = '', context?: ValidationContext) => {
+      return overrideResult(target(value, prefix, context), message, value, prefix, target.params || {}, context);
+    }) as any;
+    Object.assign(condition, target);
+    return condition;
+  }
+
+  // schema node
+  const isLiteral = isObject(target) === true;
+  const plan = planSchema(target);
+  const validator = ((value: any, prefix: string = '', context?: ValidationContext) => {
+    if (isLiteral && value === undefined) {
+      // object literals are optional, same as when they are used directly in a schema
+      return true;
+    }
+    const result = run(validatePlan(plan, value, prefix, context), context, prefix);
+    return overrideResult(result, message, value, prefix, {}, context);
+  }) as any;
+  validator.kind = 'schema'; // introspected by toJSONSchema
+  validator.schema = target;
+  return validator;
+}
+
+export {
+  withMessage,
+};
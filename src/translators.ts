@@ -0,0 +1,87 @@
+import { isIsoDate, isIsoDateTime } from './formats'
+
+/**
+ * Converts numeric strings to numbers, e.g. '10' to 10.
+ */
+function toNumber(value: any) {
+  if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) {
+    return Number(value);
+  }
+  return value;
+}
+(toNumber as any).isTranslator = true; // special case for translators in validation
+(toNumber as any).kind = 'toNumber'; // introspected by toJSONSchema
+
+/**
+ * Converts the strings 'true', 'false', '1' and '0' to booleans.
+ */
+function toBoolean(value: any) {
+  if (value === 'true' || value === '1') {
+    return true;
+  }
+  if (value === 'false' || value === '0') {
+    return false;
+  }
+  return value;
+}
+(toBoolean as any).isTranslator = true; // special case for translators in validation
+(toBoolean as any).kind = 'toBoolean'; // introspected by toJSONSchema
+
+/**
+ * Removes whitespace from both ends of a string.
+ */
+function trim(value: any) {
+  return typeof value === 'string' ? value.trim() : value;
+}
+(trim as any).isTranslator = true; // special case for translators in validation
+(trim as any).kind = 'trim'; // introspected by toJSONSchema
+
+/**
+ * Converts a string to lower case.
+ */
+function toLowerCase(value: any) {
+  return typeof value === 'string' ? value.toLowerCase() : value;
+}
+(toLowerCase as any).isTranslator = true; // special case for translators in validation
+(toLowerCase as any).kind = 'toLowerCase'; // introspected by toJSONSchema
+
+/**
+ * Converts an ISO 8601 date or date-time string to a Date. Dates that do not exist,
+ * like 2024-02-30, are left as is rather than rolled over to the next month.
+ */
+function toDate(value: any) {
+  if (typeof value === 'string' && (isIsoDate(value) || isIsoDateTime(value))) {
+    const date = new Date(value);
+    if (!isNaN(date.getTime())) {
+      return date;
+    }
+  }
+  return value;
+}
+(toDate as any).isTranslator = true; // special case for translators in validation
+(toDate as any).kind = 'toDate'; // introspected by toJSONSchema
+
+/**
+ * Converts the value with a custom function, which may be asynchronous.
+ * Undefined values are not passed to the function.
+ */
+function map(mapper: (value: any) => any) {
+  const translator = ((value: any) => {
+    if (value === undefined) {
+      return value;
+    }
+    return mapper(value);
+  }) as any;
+  translator.isTranslator = true; // special case for translators in validation
+  translator.kind = 'map'; // introspected by toJSONSchema
+  return translator;
+}
+
+export {
+  toNumber,
+  toBoolean,
+  trim,
+  toLowerCase,
+  toDate,
+  map,
+};
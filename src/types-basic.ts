@@ -1,4 +1,6 @@
-import { attachOptions } from './utils'
+import { attachOptions, fail, run, toIssue } from './utils'
+import { isIsoDate, isIsoDateTime } from './formats'
+import type { ValidationContext } from './types'
 
 function baseShim(shim: any) {
   return (value: any, ...args: any[]) => {
@@ -10,80 +12,129 @@ function baseShim(shim: any) {
   };
 }
 
-function isStringShim(value: any) {
+function isStringShim(value: any, prefix: string = '', context?: ValidationContext) {
   return baseShim((value: any) => {
     if (typeof value === 'string') {
       return true;
     }
-    return 'value is not a string';
-  })(value);
+    return fail(context, 'type.string', {});
+  })(value, prefix, context);
 }
 attachOptions(isStringShim);
+(isStringShim as any).kind = 'string'; // introspected by toJSONSchema
+
+function* validateCustom(customCondition: any, value: any, context?: ValidationContext): Generator<any, any, any> {
+  const result = yield customCondition(value);
+  if (result === true) {
+    return true;
+  }
+  return toIssue(context, result);
+}
 
 function isCustomShim(customCondition: any) {
-  const shim = baseShim(async (value: any) => {
-    return await customCondition(value);
-  }); 
+  const shim: any = baseShim((value: any, prefix: string = '', context?: ValidationContext) => {
+    return run(validateCustom(customCondition, value, context), context, prefix);
+  });
   attachOptions(shim);
+  shim.kind = 'custom'; // introspected by toJSONSchema
   return shim;
 }
 
-const isBooleanShim = baseShim((value: any) => {
+const isBooleanShim = baseShim((value: any, _prefix?: string, context?: ValidationContext) => {
   if (typeof value === 'boolean') {
     return true;
   }
-  return 'value is not a boolean';
+  return fail(context, 'type.boolean', {});
 });
 attachOptions(isBooleanShim);
+(isBooleanShim as any).kind = 'boolean'; // introspected by toJSONSchema
 
-function isNumericShim(value: any) {
+function isNumericShim(value: any, prefix: string = '', context?: ValidationContext) {
   return baseShim((value: any) => {
     if (Number.isFinite(value)) {
       return true;
     }
-    return 'value is not a number';
-  })(value);
+    return fail(context, 'type.number', {});
+  })(value, prefix, context);
 }
 attachOptions(isNumericShim);
+(isNumericShim as any).kind = 'numeric'; // introspected by toJSONSchema
 
-function isIntegerShim(value: any) {
+function isIntegerShim(value: any, prefix: string = '', context?: ValidationContext) {
   return baseShim((value: any) => {
     if (Number.isInteger(value)) {
       return true;
     }
-    return 'value is not an integer';
-  })(value);
+    return fail(context, 'type.integer', {});
+  })(value, prefix, context);
 }
 attachOptions(isIntegerShim);
+(isIntegerShim as any).kind = 'integer'; // introspected by toJSONSchema
 
-const isFunctionShim = baseShim((value: any) => {
+const isFunctionShim = baseShim((value: any, _prefix?: string, context?: ValidationContext) => {
   if (typeof value === 'function') {
     return true;
   }
-  return 'value is not a function';
+  return fail(context, 'type.function', {});
 });
 attachOptions(isFunctionShim);
+(isFunctionShim as any).kind = 'function'; // introspected by toJSONSchema
 
-function isArrayShim(value: any) {
+function isArrayShim(value: any, prefix: string = '', context?: ValidationContext) {
   return baseShim((value: any) => {
     if (Array.isArray(value)) {
       return true;
     }
-    return 'value is not an array';
-  })(value);
+    return fail(context, 'type.array', {});
+  })(value, prefix, context);
 }
 attachOptions(isArrayShim);
+(isArrayShim as any).kind = 'array'; // introspected by toJSONSchema
 
-function isObjectShim(value: any) {
+function isObjectShim(value: any, prefix: string = '', context?: ValidationContext) {
   return baseShim((value: any) => {
     // ensure null and array types are rejected
     if (value && value.constructor === {}.constructor) {
       return true;
     }
-    return 'value is not an object';
-  })(value);
+    return fail(context, 'type.object', {});
+  })(value, prefix, context);
 }
 attachOptions(isObjectShim);
+(isObjectShim as any).kind = 'object'; // introspected by toJSONSchema
+
+function isValidDate(value: any) {
+  return value instanceof Date && !isNaN(value.getTime());
+}
+
+function isDateShim(value: any, prefix: string = '', context?: ValidationContext) {
+  return baseShim((value: any) => {
+    // invalid dates, like new Date('nope'), are rejected
+    if (isValidDate(value)) {
+      return true;
+    }
+    return fail(context, 'type.date', {});
+  })(value, prefix, context);
+}
+attachOptions(isDateShim);
+(isDateShim as any).kind = 'date'; // introspected by toJSONSchema
+
+/**
+ * Same as `isDate`, but also accepts ISO 8601 date and date-time strings, which are not converted.
+ * Use `isDate.and(translators.toDate)` to convert them.
+ */
+function isDateOrIsoStringShim(value: any, prefix: string = '', context?: ValidationContext) {
+  return baseShim((value: any) => {
+    if (isValidDate(value) || (typeof value === 'string' && (isIsoDate(value) || isIsoDateTime(value)))) {
+      return true;
+    }
+    return fail(context, 'type.date.iso', {});
+  })(value, prefix, context);
+}
+attachOptions(isDateOrIsoStringShim);
+(isDateOrIsoStringShim as any).kind = 'date'; // introspected by toJSONSchema
+(isDateOrIsoStringShim as any).isoStrings = true;
+(isDateShim as any).orIsoString = isDateOrIsoStringShim;
 
 export {
   baseShim,
@@ -94,5 +145,6 @@ export {
   isFunctionShim as isFunction,
   isArrayShim as isArray,
   isObjectShim as isObject,
+  isDateShim as isDate,
   isCustomShim as isCustom,
 };
@@ -1,32 +1,288 @@
-import { isObject, baseShim } from './types-basic'
-import { validateData } from './validation'
-import { attachOptions } from './utils'
-import type { Validator } from './types'
+import { baseShim, isArray, isObject } from './types-basic'
+import { planSchema, validatePlan } from './validation'
+import type { SchemaPlan } from './validation'
+import { attachOptions, childContext, fail, isPromise, rootContext, run, toErrors } from './utils'
+import type { BranchError, Diagnostics, UnionOptions, Validator, ValidationContext, ValidationError, ValidationIssue } from './types'
 
+// a type error at the key itself means the value is of another type entirely
+function isTypeMismatch(errors: BranchError[], prefix: string) {
+  return errors.length === 1 && errors[0].key === prefix && errors[0].code.startsWith('type.');
+}
 
-function isAnyOfShim(types: Validator[]) {
-  const shim = baseShim(async (value: any) => {
-    let result;
-    for (let i = 0; i < types.length; i++) {
-      const isObjectResult = isObject(types[i]);
-      if (isObjectResult === true) {
-        result = await validateData(types[i], value);
-      } else {
-        result = await types[i](value)
+/**
+ * Fails with the given code. With diagnostics, the errors of the failed types are
+ * attached to the error, either all of them or those of the closest type: the one
+ * with the fewest errors, preferring types that accepted the type of the value.
+ */
+function failBranches(context: ValidationContext | undefined, code: string, failures: BranchError[][], prefix: string, diagnostics?: Diagnostics) {
+  const issue = fail(context, code, {});
+  if (!context || !diagnostics || !failures.length) {
+    return issue;
+  }
+  let errors: BranchError[];
+  if (diagnostics === 'all') {
+    errors = failures.flat();
+  } else {
+    const rank = (errors: BranchError[]) => (isTypeMismatch(errors, prefix) ? Infinity : errors.length);
+    errors = failures.reduce((closest, errors) => (rank(errors) < rank(closest) ? errors : closest));
+  }
+  return { ...issue as ValidationIssue, errors };
+}
+
+function toBranchErrors(branch: number, prefix: string, result: any): BranchError[] {
+  return toErrors(prefix, result).map((error) => ({ ...error, branch }));
+}
+
+function* validateAnyOf(plans: SchemaPlan[], diagnostics: Diagnostics | undefined, value: any, prefix: string, context?: ValidationContext): Generator<any, any, any> {
+  const failures: BranchError[][] = [];
+  for (let i = 0; i < plans.length; i++) {
+    // each type gets its own context, so only the matching type translates the value
+    const branch = context ? childContext(context, value) : undefined;
+    const result = yield* validatePlan(plans[i], value, prefix, branch);
+    if (result === true) {
+      if (context && branch) {
+        context.value = branch.value;
       }
-      if (result === true) {
+      // bail on first success
+      return true;
+    }
+    if (diagnostics) {
+      failures.push(toBranchErrors(i, prefix, result));
+    }
+  }
+  return failBranches(context, 'anyOf', failures, prefix, diagnostics);
+}
+
+function* validateOneOf(plans: SchemaPlan[], diagnostics: Diagnostics | undefined, value: any, prefix: string, context?: ValidationContext): Generator<any, any, any> {
+  const failures: BranchError[][] = [];
+  let match: ValidationContext | undefined;
+  let matches = 0;
+  for (let i = 0; i < plans.length; i++) {
+    // each type gets its own context, so only the matching type translates the value
+    const branch = context ? childContext(context, value) : undefined;
+    const result = yield* validatePlan(plans[i], value, prefix, branch);
+    if (result === true) {
+      matches++;
+      match = branch;
+      if (matches > 1) {
+        // no need to check the rest
+        return fail(context, 'oneOf.multiple', {});
+      }
+    } else if (diagnostics) {
+      failures.push(toBranchErrors(i, prefix, result));
+    }
+  }
+  if (matches === 0) {
+    return failBranches(context, 'oneOf', failures, prefix, diagnostics);
+  }
+  if (context && match) {
+    context.value = match.value;
+  }
+  return true;
+}
+
+/**
+ * Passes when the value matches any of the types. Pass `{ diagnostics: 'all' }` or
+ * `{ diagnostics: 'closest' }` to attach the errors of the types to the error.
+ */
+function isAnyOfShim(types: Validator[], { diagnostics }: UnionOptions = {}) {
+  const plans = types.map(planSchema);
+  const shim: any = baseShim((value: any, prefix: string = '', context?: ValidationContext) => {
+    return run(validateAnyOf(plans, diagnostics, value, prefix, context), context, prefix);
+  });
+  attachOptions(shim)
+  shim.kind = 'anyOf'; // introspected by toJSONSchema
+  shim.types = types;
+  return shim;
+}
+
+
+/**
+ * Same as `isAnyOf`, but the value must match exactly one of the types.
+ */
+function isOneOfShim(types: Validator[], { diagnostics }: UnionOptions = {}) {
+  const plans = types.map(planSchema);
+  const shim: any = baseShim((value: any, prefix: string = '', context?: ValidationContext) => {
+    return run(validateOneOf(plans, diagnostics, value, prefix, context), context, prefix);
+  });
+  attachOptions(shim)
+  shim.kind = 'oneOf'; // introspected by toJSONSchema
+  shim.types = types;
+  return shim;
+}
+
+function* validateOneOfByKey(key: string, plans: Record<string, SchemaPlan>, value: any, prefix: string, context?: ValidationContext): Generator<any, any, any> {
+  const isObjectResult = isObject(value, prefix, context);
+  if (isObjectResult !== true) {
+    return isObjectResult;
+  }
+  // numbers and booleans pick the schema listed under their string, e.g. 1 picks '1'
+  const tag = typeof value[key] === 'number' || typeof value[key] === 'boolean' ? String(value[key]) : value[key];
+  if (typeof tag !== 'string' || !Object.prototype.hasOwnProperty.call(plans, tag)) {
+    // reported at the discriminator, which is where the value has to be fixed
+    const issue = fail(context, 'oneOfByKey', { key, tags: Object.keys(plans) });
+    return context ? [{ key: prefix ? `${prefix}.${key}` : key, ...issue as any }] : issue;
+  }
+  return yield* validatePlan(plans[tag], value, prefix, context);
+}
+
+/**
+ * Validates an object against one of the schemas, picked by the value of its `key`.
+ * Errors of the picked schema are reported with their full key path.
+ * Object literals don't need to list the `key` themselves. Numbers and booleans
+ * pick the schema listed under their string, e.g. `{ 1: ..., 2: ... }` for versions.
+ *
+ * example:
+ *
+ * types.isOneOfByKey('type', {
+ *   click: { x: types.isInteger, y: types.isInteger },
+ *   purchase: { sku: types.isString.and(conditions.required), price: types.isNumeric },
+ * })
+ */
+function isOneOfByKeyShim(key: string, branches: Record<string, any>) {
+  const plans: Record<string, SchemaPlan> = {};
+  for (const tag of Object.keys(branches)) {
+    const branch = branches[tag];
+    // object literals accept the key, unless they validate it themselves
+    plans[tag] = planSchema(typeof branch === 'function' ? branch : { [key]: acceptTag, ...branch });
+  }
+  const shim: any = baseShim((value: any, prefix: string = '', context?: ValidationContext) => {
+    return run(validateOneOfByKey(key, plans, value, prefix, context), context, prefix);
+  });
+  attachOptions(shim)
+  shim.kind = 'oneOfByKey'; // introspected by toJSONSchema
+  shim.key = key;
+  shim.branches = branches;
+  return shim;
+}
+
+// the tag is checked when picking the schema
+function acceptTag() {
+  return true;
+}
 
-        // bail on first success
-        return true;
+function* validateTuple(plans: SchemaPlan[], restPlan: SchemaPlan | undefined, value: any, prefix: string, context?: ValidationContext): Generator<any, any, any> {
+  const isArrayResult = isArray(value, prefix, context);
+  if (isArrayResult !== true) {
+    return isArrayResult;
+  }
+  if (value.length < plans.length) {
+    return fail(context, 'tuple.min', { min: plans.length });
+  }
+  if (!restPlan && value.length > plans.length) {
+    return fail(context, 'tuple.max', { max: plans.length });
+  }
+  context = context || rootContext(value);
+  const itemPrefix = prefix ? `${prefix}.` : '';
+  const results: ValidationError[] = [];
+  const output: any[] = [];
+  for (let i = 0; i < value.length; i++) {
+    const child = childContext(context, value[i], value, `${itemPrefix}${i}`);
+    const plan = i < plans.length ? plans[i] : restPlan!;
+    let result;
+    if (plan.validator) {
+      // same as validatePlan, without a nested generator for every item
+      result = plan.validator(value[i], `${itemPrefix}${i}`, child);
+      if (isPromise(result)) {
+        // only promises are yielded, see `run`
+        result = yield result;
       }
+    } else {
+      result = yield* validatePlan(plan, value[i], `${itemPrefix}${i}`, child);
+    }
+    results.push(...toErrors(`${itemPrefix}${i}`, result));
+    if (context.abortEarly && results.length) {
+      break;
     }
-    return 'value failed to match one of the the allowed types'
+    output.push(child.value);
+  }
+  context.value = output;
+  return results.length ? results : true;
+}
+
+/**
+ * Validates an array position by position, each against its own type or schema.
+ * Items after the last position are validated against the `rest` type, without it
+ * the array must have exactly as many items as there are types.
+ *
+ * example:
+ *
+ * types.isTuple([types.isNumeric, types.isNumeric]) // [lng, lat]
+ * types.isTuple([types.isString], types.isInteger) // ['sum', 1, 2, 3]
+ */
+function isTupleShim(types: Validator[], rest?: Validator) {
+  const plans = types.map(planSchema);
+  const restPlan = rest === undefined ? undefined : planSchema(rest);
+  const shim: any = baseShim((value: any, prefix: string = '', context?: ValidationContext) => {
+    return run(validateTuple(plans, restPlan, value, prefix, context), context, prefix);
   });
   attachOptions(shim)
+  shim.kind = 'tuple'; // introspected by toJSONSchema
+  shim.types = types;
+  shim.rest = rest;
   return shim;
 }
 
+function* validateRecord(keyPlan: SchemaPlan, valuePlan: SchemaPlan, value: any, prefix: string, context?: ValidationContext): Generator<any, any, any> {
+  const isObjectResult = isObject(value, prefix, context);
+  if (isObjectResult !== true) {
+    return isObjectResult;
+  }
+  context = context || rootContext(value);
+  const results: ValidationError[] = [];
+  const output: Record<string, any> = {};
+  for (const dataKey of Object.keys(value)) {
+    const newPrefix = prefix ? `${prefix}.${dataKey}` : dataKey;
+    const keyResult = yield* validatePlan(keyPlan, dataKey, newPrefix, childContext(context, dataKey, value, newPrefix));
+    if (keyResult !== true) {
+      // the value of an invalid key isn't checked
+      const { error, code, params } = toErrors(newPrefix, keyResult)[0];
+      results.push({ key: newPrefix, ...fail(context, 'record.key', { key: dataKey, issue: { error, code, params } }) as ValidationIssue });
+    } else {
+      const child = childContext(context, value[dataKey], value, newPrefix);
+      const result = yield* validatePlan(valuePlan, value[dataKey], newPrefix, child);
+      results.push(...toErrors(newPrefix, result));
+      if (child.value !== undefined) {
+        output[dataKey] = child.value;
+      }
+    }
+    if (context.abortEarly && results.length) {
+      break;
+    }
+  }
+  context.value = output;
+  return results.length ? results : true;
+}
+
+/**
+ * Validates an object used as a dictionary, checking every key against the `keys` type
+ * and every value against the `values` type or schema. Keys are not translated.
+ * Attach `range` to limit the number of entries.
+ *
+ * example:
+ *
+ * types.isRecord(
+ *   types.isString.and(conditions.matches(/^[a-z]{2}$/)),
+ *   types.isString.and(conditions.required),
+ * ).and(conditions.range(1, 50))
+ */
+function isRecordShim(keys: Validator, values: any) {
+  const keyPlan = planSchema(keys);
+  const valuePlan = planSchema(values);
+  const shim: any = baseShim((value: any, prefix: string = '', context?: ValidationContext) => {
+    return run(validateRecord(keyPlan, valuePlan, value, prefix, context), context, prefix);
+  });
+  attachOptions(shim)
+  shim.kind = 'record'; // introspected by toJSONSchema
+  shim.keys = keys;
+  shim.values = values;
+  return shim;
+}
 
 export {
   isAnyOfShim as isAnyOf,
+  isOneOfByKeyShim as isOneOfByKey,
+  isOneOfShim as isOneOf,
+  isRecordShim as isRecord,
+  isTupleShim as isTuple,
 };
@@ -1,3 +1,5 @@
+import type { rules } from './utils'
+
 /** Function that validates a value and returns true or an error message */
 export type ValidatorFunction = (value: any, ...args: any[]) => any;
 
@@ -5,13 +7,341 @@ export type ValidatorFunction = (value: any, ...args: any[]) => any;
 export interface ValidatorProperties {
   required?: boolean;
   conditions?: any[];
+  /** what the validator checks, e.g. 'string' or 'range'. Used by `toJSONSchema` */
+  kind?: string;
+  /** the type the conditions are attached to with `and()` */
+  type?: Validator;
+  /** arguments of a condition, also exposed to custom messages */
+  params?: Record<string, any>;
+  /** nested schema of `ofType`, `ofShape` and `withMessage` */
+  schema?: any;
 }
 
 /** A validator function with optional attached properties */
 export type Validator = ValidatorFunction & ValidatorProperties;
 
-/** Error object returned when validation fails */
-export interface ValidationError {
+/** Custom error message, either static or built from the failing value */
+export type Message = string | ((value: any, key: string, params: Record<string, any>) => string);
+
+/** Messages by error code, either templates with `{param}` placeholders or functions */
+export type MessageCatalog = Record<string, string | ((params: Record<string, any>) => string)>;
+
+/**
+ * How keys not found in a schema are handled:
+ * - error: reported as extraneous
+ * - strip: left out of the translated value
+ * - allow: kept in the translated value as is
+ */
+export type UnknownKeysPolicy = 'error' | 'strip' | 'allow';
+
+/** Options accepted by `validateData` */
+export interface ValidationOptions {
+  /** locale of the error messages, defaults to the locale set with `setLocale` */
+  locale?: string;
+  /** defaults to 'error' */
+  unknownKeys?: UnknownKeysPolicy;
+  /** stops validation at the first error found anywhere */
+  abortEarly?: boolean;
+  /** reports every failing condition of a value instead of the first only */
+  collectAll?: boolean;
+}
+
+/** Options accepted by `toJSONSchema` */
+export interface JSONSchemaOptions {
+  /** the policy the data is validated with, defaults to 'error' */
+  unknownKeys?: UnknownKeysPolicy;
+}
+
+/**
+ * What the length of a string counts:
+ * - codeUnits: UTF-16 code units, same as `String.length`
+ * - codePoints: Unicode code points, e.g. an emoji counts as 1 instead of 2
+ * - graphemes: characters as perceived by people, e.g. a family emoji counts as 1
+ */
+export type LengthUnit = 'codeUnits' | 'codePoints' | 'graphemes';
+
+/** Options accepted by `minLength`, `maxLength` and `length` */
+export interface LengthOptions {
+  /** defaults to 'codeUnits' */
+  unit?: LengthUnit;
+}
+
+/** Classes of characters checked by `safeString` */
+export type SafeStringClass = 'nullByte' | 'controlCharacters' | 'zeroWidth' | 'bidi' | 'markup' | 'mongoOperator';
+
+/** Unsafe value passed to the `report` option of `safeString` */
+export interface SafeStringReport {
   key: string;
+  value: string;
+  characterClass: SafeStringClass;
+  /** index of the first unsafe character */
+  position: number;
+}
+
+/** Options accepted by `safeString` */
+export interface SafeStringOptions {
+  /** classes of characters that are accepted, by default none are */
+  allow?: SafeStringClass[];
+  /** called for unsafe values instead of failing validation, e.g. to log them */
+  report?: (report: SafeStringReport) => void;
+}
+
+/** A date, or an ISO 8601 date string */
+export type DateLike = Date | string;
+
+/** Values accepted by `inList` and `notInList` */
+export type ListValue = string | number | boolean | null;
+
+/** Options accepted by `inList` and `notInList` */
+export interface ListOptions {
+  /** compares strings ignoring case */
+  caseInsensitive?: boolean;
+}
+
+/** Options accepted by `ofShape` */
+export interface ShapeOptions {
+  /** applies to the shape and the object literals within, defaults to the policy of the parent */
+  unknownKeys?: UnknownKeysPolicy;
+}
+
+/**
+ * Passed as the third argument to validators by `validateData`. When present,
+ * validators report structured issues instead of plain error messages.
+ */
+export interface ValidationContext {
+  locale: string;
+  unknownKeys: UnknownKeysPolicy;
+  abortEarly: boolean;
+  collectAll: boolean;
+  /** validators run without promises, see `validateDataSync` */
+  sync: boolean;
+  /** the (translated) value of the node being validated */
+  value: any;
+  /** the object or array holding the value as sent, undefined at the top level */
+  parent: any;
+  /** the data passed to validation */
+  root: any;
+  /** key path of the value, e.g. `address.city` */
+  path: string;
+}
+
+/** Result of `validate` */
+export interface ValidationResult<T = any> {
+  /** translated copy of the data, shaped like the schema */
+  value: T;
+  errors: ValidationError[];
+}
+
+/** Failure reported by a single validator, before it is assigned a key */
+export interface ValidationIssue {
   error: string;
+  code: string;
+  params: Record<string, any>;
+  /** errors of the failed types, set by `isAnyOf` and `isOneOf` with the `diagnostics` option */
+  errors?: BranchError[];
+}
+
+/** Error object returned when validation fails */
+export interface ValidationError extends ValidationIssue {
+  key: string;
+}
+
+/** Error of one of the types of `isAnyOf` or `isOneOf`, `branch` is the index of the type */
+export interface BranchError extends ValidationError {
+  branch: number;
+}
+
+/**
+ * Errors reported for failed `isAnyOf` and `isOneOf` types.
+ * - all: the errors of every type
+ * - closest: the errors of the type that came closest to matching
+ */
+export type Diagnostics = 'all' | 'closest';
+
+/**
+ * A field of the object holding the value, which must be present, or a function
+ * receiving that object and the context, see `requiredIf`.
+ */
+export type FieldPredicate = string | ((parent: any, context: ValidationContext) => boolean);
+
+/** Options of `contains` */
+export interface ContainsOptions {
+  /** defaults to 1 */
+  min?: number;
+  max?: number;
+}
+
+export interface UnionOptions {
+  diagnostics?: Diagnostics;
+}
+
+/** Validator returned by `compile` */
+export interface CompiledValidator<T = any> {
+  (data: any, options?: ValidationOptions): Promise<true | ValidationError[]>;
+  sync(data: any, options?: ValidationOptions): true | ValidationError[];
+  validate(data: any, options?: ValidationOptions): Promise<ValidationResult<T>>;
+  validateSync(data: any, options?: ValidationOptions): ValidationResult<T>;
+  /** type guard, narrows the data when it is valid */
+  is(data: unknown, options?: ValidationOptions): data is T;
+}
+
+/**
+ * A validator of values of type `T`, which are required when `R` is true.
+ * Only used for type inference, the property does not exist at runtime.
+ */
+export interface TypedValidator<T = any, R extends boolean = boolean> extends ValidatorFunction, ValidatorProperties {
+  readonly __infer?: { type: T; required: R };
+}
+
+/**
+ * What a condition tells about the value, e.g. `{ required: true }` or `{ narrow: 'a' | 'b' }`.
+ * Only used for type inference, the property does not exist at runtime.
+ */
+export interface Condition<I = unknown> extends ValidatorFunction, ValidatorProperties {
+  readonly __condition?: I;
+}
+
+// conditions typed any, like custom ones, tell nothing about the value
+type ConditionInfo<C> = 0 extends 1 & C ? never : C extends { readonly __condition?: infer I } ? NonNullable<I> : never;
+type WithInfo<I, K extends string> = Extract<I, Record<K, any>>;
+type HasInfo<I, K extends string> = [WithInfo<I, K>] extends [never] ? false : true;
+
+type ApplyItems<T, I> = [WithInfo<I, 'items'>] extends [never] ? T : WithInfo<I, 'items'>['items'][];
+type ApplyShape<T, I> = [WithInfo<I, 'shape'>] extends [never] ? T : WithInfo<I, 'shape'>['shape'];
+type ApplyNarrow<T, I> = [WithInfo<I, 'narrow'>] extends [never] ? T : Extract<WithInfo<I, 'narrow'>['narrow'], T>;
+type ApplyNullable<T, I> = HasInfo<I, 'nullable'> extends true
+  ? HasInfo<I, 'notNull'> extends true ? T : T | null
+  : T;
+
+/** Type of the value once the conditions are applied to the type `T` */
+export type ApplyConditions<T, C extends readonly any[]> = ApplyNullable<
+  ApplyNarrow<ApplyShape<ApplyItems<T, ConditionInfo<C[number]>>, ConditionInfo<C[number]>>, ConditionInfo<C[number]>>,
+  ConditionInfo<C[number]>
+>;
+
+/** A type with conditions attached using `and()` */
+export interface ConstrainedValidator<T = any, R extends boolean = boolean> extends TypedValidator<T, R> {
+  /** runs without promises, throws if an asynchronous validator is found */
+  sync(value: any): true | string | ValidationError[];
+}
+
+/** A type, e.g. `types.isString`, to which conditions can be attached */
+export interface TypeValidator<T = any> extends TypedValidator<T, false> {
+  and<C extends readonly Condition<any>[]>(...conditions: C): ConstrainedValidator<ApplyConditions<T, C>, HasInfo<ConditionInfo<C[number]>, 'required'>>;
+}
+
+type Simplify<T> = { [K in keyof T]: T[K] } & {};
+// values of the key picking a schema of isOneOfByKey, numbers and booleans pick their string
+type TagValue<T> = T extends number ? T | `${T}` : T extends 'true' ? T | true : T extends 'false' ? T | false : T;
+type RequiredKeys<S> = { [K in keyof S]: S[K] extends { readonly __infer?: { required: true } } ? K : never }[keyof S];
+type InferObject<S> = Simplify<
+  { [K in RequiredKeys<S>]: Infer<S[K]> } &
+  { [K in Exclude<keyof S, RequiredKeys<S> | typeof rules>]?: Infer<S[K]> }
+>;
+
+/**
+ * The type of the data a schema accepts. Keys are optional unless `required`
+ * is attached, the same as when validating.
+ *
+ * example:
+ *
+ * const schema = {
+ *   name: types.isString.and(conditions.required),
+ *   tags: types.isArray.and(conditions.ofType(types.isString)),
+ * };
+ *
+ * type User = Infer<typeof schema>; // { name: string; tags?: string[] }
+ */
+export type Infer<S> =
+  S extends (...args: any[]) => any
+    ? S extends { readonly __infer?: infer I }
+      ? unknown extends I ? any : NonNullable<I> extends { type: infer T } ? T : any
+      : any
+    : S extends { '*': infer W }
+      ? InferWildcard<Omit<S, '*'>, Infer<W>> | InferRulesNull<S>
+      : S extends object ? InferObject<S> | InferRulesNull<S> : any;
+
+// object literals accept null with `nullable` listed under `rules`
+type InferRulesNull<S> = S extends Record<typeof rules, readonly (infer R)[]>
+  ? HasInfo<ConditionInfo<R>, 'nullable'> extends true ? null : never
+  : never;
+
+// the index signature has to cover the explicit keys as well
+type InferWildcard<S, W> = [keyof S] extends [never]
+  ? Record<string, W>
+  : InferObject<S> & Record<string, W | InferObject<S>[keyof InferObject<S>]>;
+
+type InferRecord<K, V> = string extends Extract<Infer<K>, string>
+  ? Record<string, Infer<V>>
+  : Partial<Record<Extract<Infer<K>, string>, Infer<V>>>;
+type InferTuple<S extends readonly any[]> = { -readonly [I in keyof S]: Infer<S[I]> };
+
+/** The types available as `types`, see `types-basic.ts` and `types-complex.ts` */
+export interface Types {
+  isBoolean: TypeValidator<boolean>;
+  isNumeric: TypeValidator<number>;
+  isInteger: TypeValidator<number>;
+  isString: TypeValidator<string>;
+  isFunction: TypeValidator<(...args: any[]) => any>;
+  isObject: TypeValidator<Record<string, any>>;
+  isDate: TypeValidator<Date> & { orIsoString: TypeValidator<Date | string> };
+  isArray: TypeValidator<any[]>;
+  isAnyOf<const S extends readonly any[]>(types: S, options?: UnionOptions): TypeValidator<Infer<S[number]>>;
+  isOneOf<const S extends readonly any[]>(types: S, options?: UnionOptions): TypeValidator<Infer<S[number]>>;
+  isTuple<const S extends readonly any[], R = never>(types: S, rest?: R): TypeValidator<
+    [R] extends [never] ? InferTuple<S> : [...InferTuple<S>, ...Infer<R>[]]
+  >;
+  isRecord<K, V>(keys: K, values: V): TypeValidator<InferRecord<K, V>>;
+  isOneOfByKey<K extends string, B extends Record<string, any>>(key: K, branches: B): TypeValidator<{ [T in keyof B & (string | number)]: Simplify<Infer<B[T]> & { [P in K]: TagValue<T> }> }[keyof B & (string | number)]>;
+  isCustom<T = any>(customCondition: (value: any) => any): TypeValidator<T>;
+  baseShim(shim: any): (value: any, ...args: any[]) => any;
+}
+
+/** The conditions available as `conditions`, see `conditions.ts` */
+export interface Conditions {
+  rules: typeof rules;
+  atLeastOneOf(keys: string[]): Condition;
+  oneOfKeys(keys: string[]): Condition;
+  mutuallyExclusive(keys: string[]): Condition;
+  allOrNone(keys: string[]): Condition;
+  required: Condition<{ required: true }> & { notNull: Condition<{ required: true; notNull: true }> };
+  nullable: Condition<{ nullable: true }>;
+  defaultTo(valueOrFactory: any): Condition;
+  notEmpty: Condition;
+  minLength(min: number, options?: LengthOptions): Condition;
+  maxLength(max: number, options?: LengthOptions): Condition;
+  length(length: number, options?: LengthOptions): Condition;
+  matches(regex: RegExp): Condition;
+  email: Condition;
+  url: Condition;
+  uri: Condition;
+  uuid: Condition & { version(version: number): Condition };
+  isoDate: Condition;
+  isoDateTime: Condition;
+  hexColor: Condition;
+  ipv4: Condition;
+  ipv6: Condition;
+  slug: Condition;
+  e164: Condition;
+  safeString(options?: SafeStringOptions): Condition;
+  before(date: DateLike): Condition;
+  after(date: DateLike): Condition;
+  inPast: Condition;
+  inFuture: Condition;
+  dateRange(min: DateLike | undefined, max: DateLike | undefined): Condition;
+  inList<const L extends readonly ListValue[]>(list: L, options: ListOptions & { caseInsensitive: true }): Condition;
+  inList<const L extends readonly ListValue[]>(list: L, options?: ListOptions): Condition<{ narrow: L[number] }>;
+  notInList(list: readonly ListValue[], options?: ListOptions): Condition;
+  range(lower: number | undefined, upper: number | undefined): Condition;
+  requiredIf(field: string, equals?: any): Condition;
+  requiredIf(predicate: (parent: any, context: ValidationContext) => boolean): Condition;
+  forbiddenIf(field: string, equals?: any): Condition;
+  forbiddenIf(predicate: (parent: any, context: ValidationContext) => boolean): Condition;
+  equalsField(field: string): Condition;
+  when<T, O = never>(predicate: FieldPredicate, then: T, otherwise?: O): Condition & TypedValidator<Infer<T> | Infer<O>, false>;
+  unique(): Condition;
+  uniqueBy(keyOrFn: string | ((item: any) => any)): Condition;
+  contains(type: any, options?: ContainsOptions): Condition;
+  ofType<S>(type: S): Condition<{ items: Infer<S> }>;
+  ofShape<S>(shape: S, options?: ShapeOptions): Condition<{ shape: Infer<S> }>;
 }
@@ -1,44 +1,331 @@
-function attachOptions(shim: any) {
+import { assertLocale, formatMessage, getLocale } from './locale'
+import type { UnknownKeysPolicy, ValidationContext, ValidationError, ValidationIssue, ValidationOptions } from './types'
+
+const unknownKeysPolicies = ['error', 'strip', 'allow'];
+
+/**
+ * Key of the object-level conditions of an object literal, e.g. `atLeastOneOf` or `nullable`.
+ * A symbol, so it never collides with the keys of the data.
+ */
+const rules: unique symbol = Symbol('rules');
+
+function assertUnknownKeys(unknownKeys: UnknownKeysPolicy) {
+  if (unknownKeysPolicies.indexOf(unknownKeys) < 0) {
+    throw Error(`Unknown unknownKeys policy: ${unknownKeys}. Expected one of: ${unknownKeysPolicies}`);
+  }
+}
+
+/**
+ * Creates the context that is passed to every validator during validation.
+ */
+function createContext(options: ValidationOptions = {}, sync: boolean = false): ValidationContext {
+  const locale = options.locale || getLocale();
+  const unknownKeys = options.unknownKeys || 'error';
+  assertLocale(locale);
+  assertUnknownKeys(unknownKeys);
+  if (options.abortEarly && options.collectAll) {
+    throw Error('Options abortEarly and collectAll can not be combined');
+  }
+  return {
+    locale,
+    unknownKeys,
+    abortEarly: options.abortEarly === true,
+    collectAll: options.collectAll === true,
+    sync,
+    value: undefined,
+    parent: undefined,
+    root: undefined,
+    path: '',
+  };
+}
+
+/**
+ * Creates the context of a validator called without one, which makes the value the root.
+ */
+function rootContext(value: any): ValidationContext {
+  const context = createContext();
+  context.root = value;
+  return context;
+}
+
+/**
+ * Reports a failure with the message of the error code in the current locale.
+ * Returns a structured issue when validating with a context, otherwise the
+ * plain error message so validators can still be called directly.
+ */
+function fail(context: ValidationContext | undefined, code: string, params: Record<string, any>): string | ValidationIssue {
+  const error = formatMessage(code, params, context && context.locale) || code;
+  if (context) {
+    return { error, code, params };
+  }
+  return error;
+}
+
+/**
+ * Creates the context of a nested value. Validators which translate the value
+ * replace `value` in it, so the caller can pick up the result. The fields are
+ * listed rather than spread, as this runs for every key and item of the data.
+ */
+function childContext(context: ValidationContext, value: any, parent?: any, path?: string): ValidationContext {
+  const samePosition = path === undefined; // e.g. the types of isAnyOf
+  return {
+    locale: context.locale,
+    unknownKeys: context.unknownKeys,
+    abortEarly: context.abortEarly,
+    collectAll: context.collectAll,
+    sync: context.sync,
+    value,
+    parent: samePosition ? context.parent : parent,
+    root: context.root,
+    path: samePosition ? context.path : path,
+  };
+}
+
+/**
+ * Converts a plain error message returned by a user supplied validator into an issue.
+ */
+function toIssue(context: ValidationContext | undefined, result: any, validator?: any) {
+  return context ? messageToIssue(result, validator) : result;
+}
+
+function messageToIssue(result: any, validator?: any) {
+  if (typeof result === 'string') {
+    return {
+      error: result,
+      code: (validator && validator.code) || 'custom',
+      params: (validator && validator.params) || {},
+    };
+  }
+  return result;
+}
+
+/**
+ * Converts the result of a validator into a list of errors for the given key.
+ */
+function toErrors(key: string, result: any): ValidationError[] {
+  if (result === true || result === undefined) {
+    return [];
+  }
+  if (Array.isArray(result)) {
+    // multiple errors from branch
+    return result;
+  }
+  // simple error from leaf node
+  const issue = messageToIssue(result);
+  const error: ValidationError = {
+    key,
+    error: issue.error,
+    code: issue.code,
+    params: issue.params,
+  };
+  if (issue.errors) {
+    // diagnostics of isAnyOf and isOneOf
+    error.errors = issue.errors;
+  }
+  return [error];
+}
+
+// compares primitives, arrays, plain objects and dates by their contents
+function deepEqual(a: any, b: any): boolean {
+  if (a === b || (Number.isNaN(a) && Number.isNaN(b))) {
+    return true;
+  }
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object' || a.constructor !== b.constructor) {
+    return false;
+  }
+  if (a instanceof Date) {
+    return a.getTime() === b.getTime();
+  }
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every((key) => key in b && deepEqual(a[key], b[key]));
+}
+
+function isPromise(value: any) {
+  return !!value && typeof value.then === 'function';
+}
+
+/**
+ * Runs a validation generator. Every value the generator yields is the result of a
+ * nested validator, which is handed back once resolved. Promises are only awaited once
+ * one is found, so nested validators without asynchronous ones return their result
+ * directly. Called without a context, the result is always a promise. In sync mode,
+ * a promise means an asynchronous validator was found, which is reported as an error.
+ */
+function run(generator: Generator<any, any, any>, context: ValidationContext | undefined, prefix: string): any {
+  let step;
+  try {
+    step = generator.next();
+    while (!step.done) {
+      if (isPromise(step.value)) {
+        if (context && context.sync) {
+          step.value.catch(() => {}); // the result is never used
+          throw Error(`Asynchronous validator found${prefix ? ` for "${prefix}"` : ''} during synchronous validation, use validateData instead`);
+        }
+        return resume(generator, step.value);
+      }
+      step = generator.next(step.value);
+    }
+  } catch (err) {
+    if (context) {
+      throw err;
+    }
+    return Promise.reject(err);
+  }
+  return context ? step.value : Promise.resolve(step.value);
+}
+
+async function resume(generator: Generator<any, any, any>, pending: Promise<any>) {
+  let step = generator.next(await pending);
+  while (!step.done) {
+    step = generator.next(isPromise(step.value) ? await step.value : step.value);
+  }
+  return step.value;
+}
+
+/**
+ * Converts a single issue into its error message, which is what validators return
+ * when called directly.
+ */
+function toResult(result: any) {
+  if (result !== true && result && !Array.isArray(result) && typeof result === 'object') {
+    return result.error;
+  }
+  return result;
+}
+
+// kinds of types that always check for the same type of value
+const basicKinds = ['string', 'boolean', 'numeric', 'integer', 'function', 'array', 'object', 'date'];
+
+/**
+ * Sorts the options passed to `and()`, which is done once when the validator is created.
+ * Conditions that can't be applied to the type, like `range` on strings, are reported here.
+ */
+function planOptions(options: any[], kind?: string) {
+  for (const option of options) {
+    if (option && option.appliesTo && basicKinds.indexOf(kind!) >= 0 && option.appliesTo.indexOf(kind) < 0) {
+      throw Error(`Condition ${option.kind} can not be applied to ${kind} values`);
+    }
+  }
+
+  // translators run first so the type and conditions see the translated value.
+  // high priority translators like defaults come first, the rest in the order given.
+  const translators = options
+    .filter((v: any) => v && v.isTranslator == true)
+    .sort((v1: any, v2: any) => (v2.priority || 0) - (v1.priority || 0));
+
+  // ensures high priority conditions are ran first
+  // so we resolve things like required before nested objects
+  const conditions = options.filter((v: any) => !(v && v.isTranslator == true));
+  conditions.sort((v1: any, v2: any) => {
+    if (v1.priority > v2.priority) {
+      return -1;
+    } else {
+      return 1;
+    }
+  })
+
+  return {
+    translators,
+    conditions,
+    required: options.filter((v: any) => v && v.hasRequiredCondition == true),
+    nullable: options.some((v: any) => v && v.allowsNull == true),
+  };
+}
+
+function* validateOptions(shim: any, plan: ReturnType<typeof planOptions>, value: any, prefix: string, context?: ValidationContext): Generator<any, any, any> {
   let result: any;
-  shim.and = (...options: any[]) => {
-    const validate = async (value: any, ...args: any[]) => {
-      
-      result = await shim(value, ...args)
+
+  for (const translator of plan.translators) {
+    value = yield translator(value);
+  }
+  if (context) {
+    context.value = value;
+  }
+
+  if (value === null && plan.nullable) {
+    // special case for null values so they skip the type and all conditions but required.
+    for (const validator of plan.required) {
+      result = yield validator(value, prefix, context)
       if (result !== true) {
-        return result
+        return toIssue(context, result, validator)
       }
+    }
+    return true;
+  }
 
-      let required = options.filter((v: any) => v && v.hasRequiredCondition == true);
-      if(required.length == 0 && value === undefined) {
-        // special case for undefined values so they avoid running further conditions.
-        return true;
-      }
+  result = shim(value, prefix, context)
+  if (isPromise(result)) {
+    // only promises are yielded, see `run`
+    result = yield result;
+  }
+  if (result !== true) {
+    return result
+  }
 
-      // ensures high priority conditions are ran first
-      // so we resolve things like required before nested objects
-      options.sort((v1: any, v2: any) => {
-        if (v1.priority > v2.priority) {
-          return -1;
-        } else {
-          return 1;
-        }
-      })
+  if (value === undefined) {
+    // special case for undefined values so they only run conditions deciding if they are required.
+    for (const validator of plan.required) {
+      result = yield validator(value, prefix, context)
+      if (result !== true) {
+        return toIssue(context, result, validator)
+      }
+    }
+    return true;
+  }
 
-      for (const validator of options) {
-        if (typeof validator !== 'function') {
-          throw Error(`Optional condition is not a function: ${args}`)
-        }
-        result = await validator(value, ...args)
-        if (result !== true) {
-          break;
-        }
+  const collectAll = context && context.collectAll;
+  const errors: ValidationError[] = [];
+  for (const validator of plan.conditions) {
+    if (typeof validator !== 'function') {
+      throw Error(`Optional condition is not a function: ${prefix}`)
+    }
+    result = validator(value, prefix, context)
+    if (isPromise(result)) {
+      result = yield result;
+    }
+    if (result !== true) {
+      result = toIssue(context, result, validator)
+      if (!collectAll) {
+        break;
       }
-      return result
+      errors.push(...toErrors(prefix, result));
     }
+  }
+  if (collectAll) {
+    return errors.length ? errors : true;
+  }
+  return result
+}
+
+function attachOptions(shim: any) {
+  shim.and = (...options: any[]) => {
+    const plan = planOptions(options, shim.kind);
+    const validate = ((value: any, prefix: string = '', context?: ValidationContext) => {
+      return run(validateOptions(shim, plan, value, prefix, context), context, prefix);
+    }) as any;
+    // introspected by toJSONSchema
+    validate.kind = shim.kind;
+    validate.type = shim;
+    validate.conditions = options;
+    validate.required = plan.required.some((v: any) => !v.dependsOnFields);
+    // runs without promises, throws if an asynchronous validator is found
+    validate.sync = (value: any) => toResult(validate(value, '', { ...createContext({}, true), root: value }));
     return validate;
   }
 }
 
 export {
-  attachOptions
+  assertUnknownKeys,
+  rules,
+  attachOptions,
+  createContext,
+  childContext,
+  deepEqual,
+  fail,
+  isPromise,
+  rootContext,
+  run,
+  toResult,
+  toIssue,
+  toErrors,
 }
\ No newline at end of file
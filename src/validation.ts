@@ -1,5 +1,172 @@
 import { isObject } from './types-basic'
-import type { ValidationError } from './types'
+import { childContext, createContext, fail, isPromise, rootContext, rules, run, toErrors, toIssue, toResult } from './utils'
+import type { CompiledValidator, Infer, ValidationContext, ValidationError, ValidationIssue, ValidationOptions, ValidationResult } from './types'
+
+export interface SchemaPlan {
+  /** set for function based schemas, which are executed as is */
+  validator?: (value: any, ...args: any[]) => any;
+  /** explicit keys, without the wildcard */
+  keys: string[];
+  keySet: Set<string>;
+  children: Record<string, SchemaPlan>;
+  wildcard: boolean;
+  /** object-level conditions of an object literal, see `rules` */
+  rules: any[];
+  /** set when `nullable` is one of the rules, so the object literal accepts null */
+  nullable: boolean;
+}
+
+function invalidSchema(_value: any, prefix: string) {
+  // helps the user construct valid schemas
+  throw Error(`incorrect schema value${prefix ? ` for ${prefix}` : ''}`);
+}
+
+// shared by the plans of functions, which have no keys
+const noKeys: string[] = [];
+const noKeySet = new Set<string>();
+
+function planNode(schema: any, planned: Map<any, SchemaPlan>): SchemaPlan {
+  if (typeof schema == 'function' || !schema || schema.constructor !== {}.constructor) {
+    // the check of isObject, without letting undefined pass
+    const validator = typeof schema == 'function' ? schema : invalidSchema;
+    return { validator, keys: noKeys, keySet: noKeySet, children: {}, wildcard: false, rules: noKeys, nullable: false };
+  }
+  if (planned.has(schema)) {
+    return planned.get(schema)!;
+  }
+  const keys = Object.keys(schema).filter((key) => key !== '*');
+  const planRules = schema[rules] || [];
+  const plan: SchemaPlan = {
+    keys,
+    keySet: new Set(keys),
+    children: {},
+    wildcard: '*' in schema,
+    rules: planRules,
+    nullable: planRules.some((rule: any) => rule && rule.allowsNull == true),
+  };
+  // planned before its children, which may refer back to it
+  planned.set(schema, plan);
+  for (const key of Object.keys(schema)) {
+    plan.children[key] = planNode(schema[key], planned);
+  }
+  return plan;
+}
+
+/**
+ * Walks the schema once, so it can be validated many times without walking it again.
+ * Invalid schemas are still reported when validating, same as when there was no plan.
+ * Every object literal is planned once, so schemas referencing themselves work.
+ */
+function planSchema(schema: any): SchemaPlan {
+  return planNode(schema, new Map());
+}
+
+/**
+ * Validates a planned schema node. Nested validators are yielded, see `run`.
+ */
+function* validatePlan(plan: SchemaPlan, data: any, prefix: string, context?: ValidationContext): Generator<any, any, any> {
+  if (plan.validator) {
+    // no object literal supplied, just execute function
+    return yield plan.validator(data, prefix, context);
+  }
+  if (data === null && plan.nullable) {
+    // same as nullable types, the object and its rules are skipped
+    return true;
+  }
+  const isObjectResult = isObject(data, prefix, context);
+  if (isObjectResult !== true) {
+    // data is not an object, don't proceed any further
+    return isObjectResult;
+  }
+
+  const results = [];
+  const output: Record<string, any> = {};
+  context = context || rootContext(data);
+
+  const dataKeys = data ? Object.keys(data) : [];
+  const unknownKeys = dataKeys.filter((key) => !plan.keySet.has(key));
+  // explicit keys take precedence, the wildcard covers every other key of the data
+  const keys = plan.wildcard ? [...plan.keys, ...unknownKeys] : plan.keys;
+
+  for (const dataKey of keys) {
+    const schemaKey = plan.keySet.has(dataKey) ? dataKey : '*';
+    const childPlan = plan.children[schemaKey];
+    const dataValue = data ? data[dataKey] : undefined;
+    const newPrefix = prefix ? `${prefix}.${dataKey}` : dataKey;
+    let result = undefined;
+    const child = childContext(context, dataValue, data, newPrefix);
+
+    if (childPlan.validator) {
+      // same as drilling deeper, without a nested generator for every key
+      result = childPlan.validator(dataValue, newPrefix, child);
+      if (isPromise(result)) {
+        // only promises are yielded, see `run`
+        result = yield result;
+      }
+    } else if (dataValue !== undefined) {
+      // drill deeper if the dataValue exists
+      result = yield* validatePlan(childPlan, dataValue, newPrefix, child);
+    }
+    if (result !== true && result !== undefined) {
+      results.push(...toErrors(newPrefix, result));
+      if (context.abortEarly) {
+        return results;
+      }
+    }
+    if (child.value !== undefined) {
+      output[dataKey] = child.value;
+    }
+  }
+
+  // ensures we don't pass extraneous values
+  const extraneousKeysArr = plan.wildcard ? [] : unknownKeys;
+  for (let extraneousKey of extraneousKeysArr) {
+    if (context.unknownKeys === 'allow') {
+      // passed on as is, without validation
+      output[extraneousKey] = data[extraneousKey];
+    } else if (context.unknownKeys === 'error') {
+      const key = prefix ? `${prefix}.${extraneousKey}` : extraneousKey;
+      results.push({
+        key,
+        ...fail(context, 'extraneous', {}) as ValidationIssue,
+      });
+      if (context.abortEarly) {
+        return results;
+      }
+    }
+    // otherwise strip, leaving the key out of the value
+  }
+  for (const rule of data === undefined ? [] : plan.rules) {
+    // reported at the key of the object
+    const result = yield rule(data, prefix, context);
+    results.push(...toErrors(prefix, toIssue(context, result, rule)));
+    if (context.abortEarly && results.length) {
+      return results;
+    }
+  }
+  if (data !== undefined) {
+    context.value = output;
+  }
+  return results.length ? results : true;
+}
+
+function runPlan(plan: SchemaPlan, data: any, context: ValidationContext, prefix: string = '') {
+  context.root = data;
+  return run(validatePlan(plan, data, prefix, context), context, prefix);
+}
+
+/**
+ * Runs the plan and returns the errors along with the translated value.
+ */
+function runPlanWithValue(plan: SchemaPlan, data: any, context: ValidationContext): ValidationResult | Promise<ValidationResult> {
+  context.value = data;
+  const toValidationResult = (result: any) => ({
+    value: context.value,
+    errors: toErrors('', result),
+  });
+  const result = runPlan(plan, data, context);
+  return isPromise(result) ? result.then(toValidationResult) : toValidationResult(result);
+}
 
 /**
  * Validate the following `data` against the following `schema`. Returns true
@@ -22,84 +189,121 @@ import type { ValidationError } from './types'
  * }
  *
  * let result = validateData(schema, sampleData);
+ *
+ * Options may be passed in place of the key prefix, e.g. `{ locale: 'de' }`.
  */
-async function validateData(schema: Record<string, any>, data: Record<string, any>, prefix: string = ''): Promise<true | ValidationError[]> {
-  if (typeof schema == 'function') {
-    // no object literal supplied, just execute function
-    return schema(data, prefix);
+async function validateData(schema: Record<string, any>, data: Record<string, any>, prefix: string | ValidationOptions = '', context?: ValidationContext): Promise<true | ValidationError[]> {
+  if (context) {
+    return run(validatePlan(planSchema(schema), data, prefix as string, context), context, prefix as string);
   }
-  const isObjectResult = isObject(data);
-  if (isObjectResult !== true) {
-    // data is not an object, don't proceed any further
-    return isObjectResult;
+  // top level, the data is the root. A single error from a function based schema is returned as its message
+  if (typeof prefix !== 'string') {
+    return toResult(await runPlan(planSchema(schema), data, createContext(prefix)));
   }
+  return toResult(await runPlan(planSchema(schema), data, createContext(), prefix));
+}
 
-  const results = [];
-
-  // ensures we don't pass extraneous values
-  const extraneousKeysArr = data ? Object.keys(data) : [];
-  
-  let keys = Object.keys(schema);
-  const wildCardIndex = keys.indexOf('*') 
-  if (wildCardIndex >= 0) {
-    // wildcard should always been the only key
-    if (keys.length > 1) {
-      throw Error('Schema wildcard conflict. A wildcard can not have sibling keys')
-    }
-    const wildCards = (new Array(extraneousKeysArr.length)).fill('*')
-    keys = wildCards; // override all keys with wildcards
-  }
+/**
+ * Same as `validateData`, but runs without promises and returns the result directly.
+ * Throws when an asynchronous validator, like an async `isCustom` function, is found.
+ */
+function validateDataSync(schema: Record<string, any>, data: Record<string, any>, options: ValidationOptions = {}): true | ValidationError[] {
+  return toResult(runPlan(planSchema(schema), data, createContext(options, true)));
+}
 
-  for (var i = 0; i < keys.length; i++) {
-    const schemaKey = keys[i];
-    let dataKey = schemaKey; // always the same except for wildcard
-    if (schemaKey === '*') {
-      // wildcard takes precedence
-      dataKey = extraneousKeysArr[0] // just take the first
-    }
-    const dataKeyIndex  = extraneousKeysArr.indexOf(dataKey); // will be 0 for wildcard, but could be any value otherwise
-    if (dataKeyIndex >= 0) {
-      // if found, remove from array
-      extraneousKeysArr.splice(dataKeyIndex,1) 
-    }
+/**
+ * Validate the `data` against the `schema` like `validateData`, and also returns the
+ * value after all translators have been applied. The value is a copy of the data
+ * shaped like the schema, meaning keys not found in the schema are left out.
+ *
+ * example:
+ *
+ * const schema = {
+ *   limit: types.isInteger.and(translators.toNumber, conditions.range(1, 100)),
+ * }
+ *
+ * const { value, errors } = await validate(schema, req.query); // value.limit is a number
+ */
+async function validate<S>(schema: S, data: any, options: ValidationOptions = {}): Promise<ValidationResult<Infer<S>>> {
+  return runPlanWithValue(planSchema(schema), data, createContext(options));
+}
 
-    const schemaValue = schema[schemaKey];
-    const dataValue = data ? data[dataKey] : undefined;
-    const newPrefix = prefix ? `${prefix}.${dataKey}` : dataKey;
-    if(schemaValue === undefined) {
-      // helps the user construct valid schemas
-      throw Error(`incorrect schema value for ${newPrefix}`, )
-    }
-    
-    let result = undefined;
-    
-    if (dataValue !== undefined || typeof schemaValue === 'function') {
-      // drill deeper if there if the dataValue exists or the schemaValue is a function
-      result = await validateData(schemaValue, dataValue, newPrefix);
-    }
+/**
+ * Same as `validate`, but runs without promises and returns the result directly.
+ * Throws when an asynchronous validator, like an async `isCustom` function, is found.
+ */
+function validateSync<S>(schema: S, data: any, options: ValidationOptions = {}): ValidationResult<Infer<S>> {
+  return runPlanWithValue(planSchema(schema), data, createContext(options, true)) as ValidationResult;
+}
 
-    if (typeof result === 'string') {
-      // simple error from leaf node
-      results.push({
-        key: newPrefix,
-        error: result,
-      });
-    }
-    else if (Array.isArray(result)) {
-      // multiple errors from branch
-      results.push(...result);
-    }
+/**
+ * Checks that translators left the data as it was, so the data itself has the type of
+ * the schema. Keys left out of the value, like stripped unknown keys, don't matter.
+ */
+function isUntranslated(value: any, data: any): boolean {
+  if (value === data) {
+    return true;
   }
-
-  for (let extraneousKey of extraneousKeysArr) {
-    // error
-    const key = prefix ? `${prefix}.${extraneousKey}` : extraneousKey;
-    results.push({
-      key,
-      error: 'extraneous key found',
-    });
+  if (!value || !data || typeof value !== 'object' || typeof data !== 'object' || Array.isArray(value) !== Array.isArray(data)) {
+    return false;
   }
-  return results.length ? results : true;
+  return Object.keys(value).every((key) => isUntranslated(value[key], data[key]));
+}
+
+function narrows(result: ValidationResult, data: unknown) {
+  return result.errors.length === 0 && isUntranslated(result.value, data);
+}
+
+/**
+ * Type guard that validates synchronously, see `validateSync`. When the data is
+ * valid, TypeScript narrows it to the type of the schema, see `Infer`.
+ * The data itself has to be valid, so data that is only valid once translated, e.g.
+ * '10' with `toNumber` or a missing key with a default, is not. Use `validate` and
+ * its value for those.
+ *
+ * example:
+ *
+ * if (isValid(schema, req.body)) {
+ *   req.body.name; // string
+ * }
+ */
+function isValid<S>(schema: S, data: unknown, options: ValidationOptions = {}): data is Infer<S> {
+  return narrows(validateSync(schema, data, options), data);
+}
+
+/**
+ * Analyzes the `schema` once and returns a reusable function validating data against
+ * it, with the same results as `validateData`. Keys, wildcards and the order of conditions
+ * are worked out up front, and validators that are not asynchronous are never awaited.
+ * Use it for schemas that validate many values, e.g. on ingestion endpoints.
+ *
+ * example:
+ *
+ * const validateUser = compile(schema);
+ *
+ * const result = await validateUser(req.body); // same as validateData(schema, req.body)
+ * const result = validateUser.sync(req.body); // same as validateDataSync(schema, req.body)
+ * const { value, errors } = await validateUser.validate(req.body); // same as validate(schema, req.body)
+ * if (validateUser.is(req.body)) {} // same as isValid(schema, req.body)
+ */
+function compile<S>(schema: S): CompiledValidator<Infer<S>> {
+  const plan = planSchema(schema);
+  const validator = (async (data: any, options: ValidationOptions = {}) => {
+    return toResult(await runPlan(plan, data, createContext(options)));
+  }) as CompiledValidator<Infer<S>>;
+  validator.sync = (data: any, options: ValidationOptions = {}) => {
+    return toResult(runPlan(plan, data, createContext(options, true)));
+  };
+  validator.validate = async (data: any, options: ValidationOptions = {}) => {
+    return runPlanWithValue(plan, data, createContext(options));
+  };
+  validator.validateSync = (data: any, options: ValidationOptions = {}) => {
+    return runPlanWithValue(plan, data, createContext(options, true)) as ValidationResult;
+  };
+  validator.is = (data: unknown, options: ValidationOptions = {}): data is Infer<S> => {
+    return narrows(validator.validateSync(data, options), data);
+  };
+  return validator;
 }
 
 function toKeys(validationResult: ValidationError[]): Record<string, string> {
@@ -111,6 +315,13 @@ function toKeys(validationResult: ValidationError[]): Record<string, string> {
 }
 
 export {
+  compile,
+  isValid,
+  planSchema,
+  validatePlan,
+  validate,
+  validateSync,
   validateData,
+  validateDataSync,
   toKeys,
 }
\ No newline at end of file
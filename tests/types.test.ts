@@ -0,0 +1,119 @@
+import { strict as assert } from 'assert';
+import { describe, it } from '@jest/globals';
+import { types, conditions, translators, withMessage, compile, isValid, validate, validateSync } from '../src/index';
+import type { Infer } from '../src/index';
+
+// fails to compile unless both types are the same
+type Equals<A, B> = (<T>() => T extends A ? 1 : 2) extends (<T>() => T extends B ? 1 : 2) ? true : false;
+function expectType<T extends true>(_check?: T) {}
+
+describe('type inference', () => {
+  const schema = {
+    name: types.isString.and(conditions.required),
+    age: types.isInteger,
+    nickname: types.isString.and(conditions.nullable),
+    role: types.isString.and(conditions.required, conditions.inList(['admin', 'user'])),
+    tags: types.isArray.and(conditions.ofType(types.isString)),
+    address: types.isObject.and(conditions.required, conditions.ofShape({
+      city: types.isString.and(conditions.required.notNull),
+      zip: types.isString,
+    })),
+    id: types.isAnyOf([types.isString, types.isInteger]),
+    items: types.isArray.and(conditions.ofType({ sku: types.isString.and(conditions.required) })),
+    meta: {
+      created: types.isNumeric.and(translators.toNumber, conditions.required),
+    },
+    scores: { '*': types.isNumeric },
+    label: withMessage(types.isString.and(conditions.required), 'Label is needed'),
+    check: types.isCustom<Date>(() => true),
+  };
+
+  it('infers the type of a schema', () => {
+    type Expected = {
+      name: string;
+      role: 'admin' | 'user';
+      address: { city: string; zip?: string };
+      label: string;
+      age?: number;
+      nickname?: string | null;
+      tags?: string[];
+      id?: string | number;
+      items?: { sku: string }[];
+      meta?: { created: number };
+      scores?: Record<string, number>;
+      check?: Date;
+    };
+    expectType<Equals<Infer<typeof schema>, Expected>>();
+    expectType<Equals<Infer<typeof types.isString>, string>>();
+    const trimmed = types.isString.and(translators.trim, conditions.notEmpty);
+    expectType<Equals<Infer<typeof trimmed>, string>>();
+    expectType<Equals<Infer<(value: any) => true>, any>>();
+    expectType<Equals<Infer<typeof types.isDate>, Date>>();
+    expectType<Equals<Infer<typeof types.isDate.orIsoString>, Date | string>>();
+    const event = types.isOneOfByKey('type', {
+      click: { x: types.isInteger.and(conditions.required) },
+      purchase: { sku: types.isString },
+    });
+    expectType<Equals<Infer<typeof event>, { x: number; type: 'click' } | { sku?: string; type: 'purchase' }>>();
+    const versioned = types.isOneOfByKey('version', { 1: { name: types.isString }, true: {} });
+    expectType<Equals<Infer<typeof versioned>, { name?: string; version: 1 | '1' } | { version: 'true' | true }>>();
+    const pair = types.isTuple([types.isString, types.isInteger]);
+    expectType<Equals<Infer<typeof pair>, [string, number]>>();
+    const sum = types.isTuple([types.isString], types.isInteger);
+    expectType<Equals<Infer<typeof sum>, [string, ...number[]]>>();
+    const labels = types.isRecord(types.isString.and(conditions.inList(['en', 'de'])), types.isString);
+    expectType<Equals<Infer<typeof labels>, { en?: string; de?: string }>>();
+    const ids = types.isRecord(types.isString, types.isInteger);
+    expectType<Equals<Infer<typeof ids>, Record<string, number>>>();
+    const order = {
+      address: conditions.when('delivery', types.isString.and(conditions.required), types.isInteger),
+      store: types.isString.and(conditions.requiredIf('delivery', 'pickup')),
+    };
+    expectType<Equals<Infer<typeof order>, { address?: string | number; store?: string }>>();
+    const contact = { email: types.isString, [conditions.rules]: [conditions.atLeastOneOf(['email', 'phone'])] };
+    expectType<Equals<Infer<typeof contact>, { email?: string }>>();
+    const address = { street: types.isString, [conditions.rules]: [conditions.nullable] };
+    expectType<Equals<Infer<typeof address>, { street?: string } | null>>();
+    const headers = { version: types.isInteger.and(conditions.required), '*': types.isString };
+    const value: Infer<typeof headers> = { version: 2, 'x-foo': 'a' };
+    expectType<Equals<typeof value.version, number>>();
+    expectType<Equals<typeof value['x-foo'], string | number>>();
+  });
+
+  it('narrows data with isValid', () => {
+    const data: unknown = { name: 'Jane', role: 'admin', address: { city: 'Berlin' }, label: 'a', meta: { created: 1 } };
+    if (isValid(schema, data)) {
+      expectType<Equals<typeof data.role, 'admin' | 'user'>>();
+      assert.equal(data.address.city, 'Berlin');
+    } else {
+      assert.fail('data should be valid');
+    }
+    assert.equal(isValid(schema, { name: 1 }), false);
+  });
+
+  it('only narrows data that is valid without translation', () => {
+    const page = { size: types.isInteger.and(conditions.defaultTo(20), conditions.required), q: types.isString.and(translators.trim) };
+    assert.equal(isValid(page, { size: 10, q: 'a' }), true);
+    assert.equal(isValid(page, {}), false);
+    assert.equal(isValid(page, { size: 10, q: ' a ' }), false);
+    assert.equal(isValid({ n: types.isInteger.and(translators.toNumber) }, { n: '5' }), false);
+    assert.equal(compile(page).is({}), false);
+    assert.equal(isValid({ a: types.isString }, { a: 'a', b: 1 }, { unknownKeys: 'strip' }), true);
+    assert.equal(isValid({ tags: types.isArray.and(conditions.ofType({ a: types.isString })) }, { tags: [{ a: 'a' }] }), true);
+  });
+
+  it('types the value of validate and compile', async () => {
+    const { value, errors } = await validate(schema, { name: 'Jane', role: 'user', address: { city: 'Berlin' }, label: 'a' });
+    expectType<Equals<typeof value, Infer<typeof schema>>>();
+    assert.deepEqual(errors, []);
+    assert.equal(value.address.city, 'Berlin');
+
+    const validateUser = compile(schema);
+    const result = validateSync({ age: types.isInteger.and(translators.toNumber) }, { age: '1' });
+    expectType<Equals<typeof result.value, { age?: number }>>();
+    assert.equal(result.value.age, 1);
+
+    const data: unknown = { name: 'Jane', role: 'user', address: { city: 'Berlin' }, label: 'a' };
+    assert.equal(validateUser.is(data) && data.name, 'Jane');
+  });
+});
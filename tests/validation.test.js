@@ -1,7 +1,22 @@
 const assert = require('assert').strict;
 
 const { required } = require('../src/conditions');
-const {types, conditions, validateData, toKeys} = require('../src/index');
+const {
+  types,
+  conditions,
+  translators,
+  validate,
+  validateSync,
+  validateData,
+  validateDataSync,
+  compile,
+  toKeys,
+  withMessage,
+  toJSONSchema,
+  fromJSONSchema,
+  addLocale,
+  setLocale,
+} = require('../src/index');
 
 
 describe('shared/type-validation', () => {
@@ -475,17 +490,17 @@ describe('shared/type-validation', () => {
 
         assert.deepEqual(result,
           [
-            { key: '0.foo', error: 'value is required but missing' },
-            { key: '0.bar', error: 'value is required but missing' },
-            { key: '0.cool', error: 'value is required but missing' },
-            { key: '0.fo2o', error: 'extraneous key found' },
-            { key: '0.b2ar', error: 'extraneous key found' },
-            { key: '1.bar', error: 'value is required but missing' },
-            { key: '1.cool', error: 'value is required but missing' },
-            { key: '1.b2ar', error: 'extraneous key found' },
-            { key: '2.cool', error: 'value is required but missing' },
-            { key: '3.cool.hot', error: 'value is required but missing' },
-            { key: '3.cool.warm', error: 'string value can not be empty' }
+            { key: '0.foo', error: 'value is required but missing', code: 'required', params: {} },
+            { key: '0.bar', error: 'value is required but missing', code: 'required', params: {} },
+            { key: '0.cool', error: 'value is required but missing', code: 'required', params: {} },
+            { key: '0.fo2o', error: 'extraneous key found', code: 'extraneous', params: {} },
+            { key: '0.b2ar', error: 'extraneous key found', code: 'extraneous', params: {} },
+            { key: '1.bar', error: 'value is required but missing', code: 'required', params: {} },
+            { key: '1.cool', error: 'value is required but missing', code: 'required', params: {} },
+            { key: '1.b2ar', error: 'extraneous key found', code: 'extraneous', params: {} },
+            { key: '2.cool', error: 'value is required but missing', code: 'required', params: {} },
+            { key: '3.cool.hot', error: 'value is required but missing', code: 'required', params: {} },
+            { key: '3.cool.warm', error: 'string value can not be empty', code: 'notEmpty', params: {} }
           ]);
       });
 
@@ -508,7 +523,7 @@ describe('shared/type-validation', () => {
         assert.deepEqual(
           await types.isArray.and(
             conditions.ofType(types.isNumeric))([false]),
-          [{ error: 'value is not a number', key: '0' }]
+          [{ error: 'value is not a number', key: '0', code: 'type.number', params: {} }]
         );
       });
 
@@ -614,10 +629,14 @@ describe('shared/type-validation', () => {
           {
             key: 'b.c',
             error: 'value is not a string',
+            code: 'type.string',
+            params: {},
           },
           {
             key: 'b.d',
             error: 'value is required but missing',
+            code: 'required',
+            params: {},
           },
         ]);
       });
@@ -773,6 +792,8 @@ describe('shared/type-validation', () => {
           {
             error: 'value is not a boolean',
             key: 'b.c.varC',
+            code: 'type.boolean',
+            params: {},
           },
         ],
       },
@@ -790,14 +811,20 @@ describe('shared/type-validation', () => {
           {
             error: 'value is not a boolean',
             key: 'varA',
+            code: 'type.boolean',
+            params: {},
           },
           {
             error: 'value is not a boolean',
             key: 'b.varB',
+            code: 'type.boolean',
+            params: {},
           },
           {
             error: 'value is not a boolean',
             key: 'b.c.varC',
+            code: 'type.boolean',
+            params: {},
           },
         ],
       },
@@ -860,6 +887,8 @@ describe('shared/type-validation', () => {
           {
             error: 'value is required but missing',
             key: 'b.c.varC',
+            code: 'required',
+            params: {},
           },
         ]);
       });
@@ -883,6 +912,8 @@ describe('shared/type-validation', () => {
           {
             error: 'value is not an object',
             key: 'b.c',
+            code: 'type.object',
+            params: {},
           },
         ]);
       });
@@ -906,7 +937,7 @@ describe('shared/type-validation', () => {
         };
 
         assert.deepEqual(await validateData(schema, data), [
-          { key: 'b.c.varC', error: 'value is required but missing' }
+          { key: 'b.c.varC', error: 'value is required but missing', code: 'required', params: {} }
         ]);
       });
 
@@ -939,7 +970,7 @@ describe('shared/type-validation', () => {
         };
         assert.deepEqual(
           await validateData(schema, data),
-          [{ key: 'extraneous', error: 'extraneous key found' }]
+          [{ key: 'extraneous', error: 'extraneous key found', code: 'extraneous', params: {} }]
         );
       });
 
@@ -955,9 +986,9 @@ describe('shared/type-validation', () => {
         }
         const result = await validateData(schema, data);
         assert.deepEqual(result, [
-          { key: 'myObject.foo', error: 'extraneous key found' },
-          { key: 'myValue', error: 'extraneous key found' },
-          { key: 'myArray', error: 'extraneous key found' }
+          { key: 'myObject.foo', error: 'extraneous key found', code: 'extraneous', params: {} },
+          { key: 'myValue', error: 'extraneous key found', code: 'extraneous', params: {} },
+          { key: 'myArray', error: 'extraneous key found', code: 'extraneous', params: {} }
         ]);
       });
     });
@@ -1014,32 +1045,38 @@ describe('shared/type-validation', () => {
       const result = await validateData(schema, data);
       assert.deepEqual(result, [
         {
-          key: 'zoo.hours', error: 'value failed to match one of the the allowed types'
+          key: 'zoo.hours', error: 'value failed to match one of the the allowed types',
+          code: 'anyOf',
+          params: {},
         },
-        { key: 'zoo.animals.0.age', error: 'value is required but missing' },
+        { key: 'zoo.animals.0.age', error: 'value is required but missing', code: 'required', params: {} },
         {
-          key: 'zoo.animals.2.snake', error: 'value failed to match one of the the allowed types'
+          key: 'zoo.animals.2.snake', error: 'value failed to match one of the the allowed types',
+          code: 'anyOf',
+          params: {},
         }
       ]);
     });
   })
 
   describe('wildcard tests', () => {
-    it("can't have siblings", async () => {
-      try {
-        const schema = { 
-          a: {
-            'c': {},
-            '*': {
-              c: types.isNumeric,
-            }
+    it('can have siblings, which take precedence', async () => {
+      const schema = {
+        a: {
+          version: types.isInteger.and(conditions.required),
+          '*': {
+            c: types.isNumeric,
           }
-        };
-        await validateData(schema, {a:{'1234': {}}});
-        throw new Error('failed to throw error')
-      }catch(e) {
-        assert.equal(e.message, 'Schema wildcard conflict. A wildcard can not have sibling keys')
-      }
+        }
+      };
+      assert.equal(await validateData(schema, { a: { version: 2, '1234': { c: 1 } } }), true);
+      assert.deepEqual(await validateData(schema, { a: { '1234': { c: 'x' }, version: { c: 1 } } }), [
+        { key: 'a.version', error: 'value is not an integer', code: 'type.integer', params: {} },
+        { key: 'a.1234.c', error: 'value is not a number', code: 'type.number', params: {} },
+      ]);
+      assert.deepEqual(await validateData(schema, { a: { '1234': {} } }), [
+        { key: 'a.version', error: 'value is required but missing', code: 'required', params: {} },
+      ]);
     })
     it('can handle wildcards', async () => {
       const data = {
@@ -1059,4 +1096,1862 @@ describe('shared/type-validation', () => {
       assert.equal(true, result)
     })
   })
+
+  describe('nullable', () => {
+    it('returns an error if the value is null without nullable', async () => {
+      assert.equal(await types.isString.and(conditions.required)(null), 'value is not a string');
+    });
+
+    it('accepts null for every basic type', async () => {
+      for (const type of [types.isString, types.isBoolean, types.isNumeric, types.isInteger, types.isFunction, types.isArray, types.isObject]) {
+        assert.equal(await type.and(conditions.nullable)(null), true);
+      }
+    });
+
+    it('still validates the type when the value is not null', async () => {
+      assert.equal(await types.isString.and(conditions.nullable)(5), 'value is not a string');
+    });
+
+    it('skips other conditions for null values', async () => {
+      assert.equal(await types.isNumeric.and(conditions.range(0, 10), conditions.nullable)(null), true);
+      assert.equal(await types.isArray.and(conditions.ofType(types.isString), conditions.nullable)(null), true);
+      assert.equal(await types.isObject.and(conditions.ofShape({ a: types.isString }), conditions.nullable)(null), true);
+    });
+
+    it('works with isAnyOf', async () => {
+      assert.equal(await types.isAnyOf([types.isString, types.isNumeric]).and(conditions.nullable)(null), true);
+      assert.equal(await types.isAnyOf([types.isString.and(conditions.nullable), types.isNumeric])(null), true);
+    });
+
+    it('counts null as present with required', async () => {
+      assert.equal(await types.isString.and(conditions.nullable, conditions.required)(null), true);
+      assert.equal(
+        await types.isString.and(conditions.nullable, conditions.required)(undefined),
+        'value is required but missing'
+      );
+    });
+
+    it('does not count null as present with required.notNull', async () => {
+      assert.equal(
+        await types.isString.and(conditions.nullable, conditions.required.notNull)(null),
+        'value is required and can not be null'
+      );
+      assert.equal(await types.isString.and(conditions.nullable, conditions.required.notNull)('a'), true);
+    });
+
+    it('validates nullable keys in object literal schemas and ofType items', async () => {
+      const schema = {
+        description: types.isString.and(conditions.nullable),
+        tags: types.isArray.and(conditions.ofType(types.isString.and(conditions.nullable))),
+        meta: { name: types.isString },
+      };
+      assert.equal(await validateData(schema, { description: null, tags: ['a', null] }), true);
+      assert.deepEqual(await validateData(schema, { meta: null }), [
+        { key: 'meta', error: 'value is not an object', code: 'type.object', params: {} }
+      ]);
+    });
+
+    it('accepts null for object literals listing nullable under rules', async () => {
+      const address = { street: types.isString.and(conditions.required), [conditions.rules]: [conditions.nullable] };
+      const schema = { address, history: types.isArray.and(conditions.ofType(address)) };
+      assert.equal(await validateData(schema, { address: null, history: [null, { street: 'a' }] }), true);
+      assert.deepEqual(await validateData(schema, { address: {}, history: [1] }), [
+        { key: 'address.street', error: 'value is required but missing', code: 'required', params: {} },
+        { key: 'history.0', error: 'value is not an object', code: 'type.object', params: {} },
+      ]);
+      assert.deepEqual(await validate(schema, { address: null }), { value: { address: null }, errors: [] });
+      assert.deepEqual(toJSONSchema(schema).properties.address, {
+        type: ['object', 'null'],
+        properties: { street: { type: 'string' } },
+        required: ['street'],
+        additionalProperties: false,
+      });
+    });
+  });
+
+  describe('withMessage', () => {
+    it('overrides the error of a type', async () => {
+      const isHeight = withMessage(types.isNumeric, 'Height must be a number');
+      assert.equal(isHeight('tall'), 'Height must be a number');
+      assert.equal(isHeight(5), true);
+      assert.equal(await isHeight.and(conditions.required)(undefined), 'value is required but missing');
+    });
+
+    it('overrides the error of a condition', async () => {
+      const height = types.isNumeric.and(
+        withMessage(conditions.range(0, 100), 'Height must be between 0 and 100 cm'),
+        conditions.required
+      );
+      assert.equal(await height(101), 'Height must be between 0 and 100 cm');
+      assert.equal(await height('tall'), 'value is not a number');
+      assert.equal(await height(undefined), 'value is required but missing');
+    });
+
+    it('keeps the special case properties of conditions', async () => {
+      const required = withMessage(conditions.required, 'Please enter a name');
+      assert.equal(await types.isString.and(required)(undefined), 'Please enter a name');
+    });
+
+    it('passes the value, key and condition parameters to message functions', async () => {
+      const schema = {
+        height: types.isNumeric.and(
+          withMessage(conditions.range(0, 100), (value, key, { lower, upper }) => (
+            `${key} is ${value} but must be between ${lower} and ${upper} cm`
+          ))
+        ),
+      };
+      assert.deepEqual(await validateData(schema, { height: 120 }), [
+        { key: 'height', error: 'height is 120 but must be between 0 and 100 cm', code: 'range', params: { lower: 0, upper: 100 } }
+      ]);
+    });
+
+    it('overrides every error of a schema node', async () => {
+      const schema = {
+        size: withMessage(types.isArray.and(conditions.ofType(types.isInteger), conditions.required), 'Size must be a list of integers'),
+        point: withMessage({ x: types.isNumeric, y: types.isNumeric }, (value, key) => `${key} is not a point`),
+      };
+      assert.deepEqual(await validateData(schema, { size: [1, 'a', 'b'], point: { x: 'a', z: 1 } }), [
+        { key: 'size', error: 'Size must be a list of integers', code: 'type.integer', params: {} },
+        { key: 'point', error: 'point is not a point', code: 'type.number', params: {} }
+      ]);
+      assert.deepEqual(await validateData(schema, {}), [
+        { key: 'size', error: 'Size must be a list of integers', code: 'required', params: {} }
+      ]);
+    });
+
+    it('overrides the errors of items in ofType', async () => {
+      const schema = types.isArray.and(conditions.ofType(withMessage(types.isString, (value, key) => `item ${key} must be text`)));
+      assert.deepEqual(await schema(['a', 1]), [
+        { key: '1', error: 'item 1 must be text', code: 'type.string', params: {} }
+      ]);
+    });
+  });
+
+  describe('error codes', () => {
+    it('reports the code and parameters of failed conditions', async () => {
+      const schema = {
+        min: types.isNumeric.and(conditions.range(0, undefined)),
+        max: types.isNumeric.and(conditions.range(undefined, 10)),
+        both: types.isNumeric.and(conditions.range(0, 10)),
+        size: types.isArray.and(conditions.range(1, 2)),
+        color: types.isString.and(conditions.inList(['red', 'blue'])),
+      };
+      assert.deepEqual(await validateData(schema, { min: -1, max: 11, both: 11, size: [], color: 'pink' }), [
+        { key: 'min', error: 'value must be greater than or equal to 0', code: 'range.min', params: { lower: 0, upper: undefined } },
+        { key: 'max', error: 'value must be less than or equal to 10', code: 'range.max', params: { lower: undefined, upper: 10 } },
+        { key: 'both', error: 'value falls outside of range (0, 10)', code: 'range', params: { lower: 0, upper: 10 } },
+        { key: 'size', error: 'array size falls outside of range (1, 2)', code: 'range.size', params: { lower: 1, upper: 2 } },
+        { key: 'color', error: 'value does not match accepted values: [red,blue]', code: 'inList', params: { list: ['red', 'blue'] } },
+      ]);
+    });
+
+    it('reports custom codes for user supplied validators', async () => {
+      const isEven = (value) => (value % 2 === 0 ? true : 'value is not even');
+      const isPositive = (value) => (value > 0 ? true : 'value is not positive');
+      isPositive.priority = 1;
+      isPositive.code = 'positive';
+      const schema = {
+        a: types.isCustom(isEven),
+        b: types.isInteger.and(isPositive),
+        c: isEven,
+      };
+      assert.deepEqual(await validateData(schema, { a: 1, b: -1, c: 3 }), [
+        { key: 'a', error: 'value is not even', code: 'custom', params: {} },
+        { key: 'b', error: 'value is not positive', code: 'positive', params: {} },
+        { key: 'c', error: 'value is not even', code: 'custom', params: {} },
+      ]);
+    });
+
+    it('reports codes for isAnyOf and ofType items', async () => {
+      const schema = {
+        a: types.isAnyOf([types.isString, types.isBoolean]),
+        b: types.isArray.and(conditions.ofType(types.isString.and(conditions.notEmpty))),
+      };
+      assert.deepEqual(await validateData(schema, { a: 1, b: [''] }), [
+        { key: 'a', error: 'value failed to match one of the the allowed types', code: 'anyOf', params: {} },
+        { key: 'b.0', error: 'string value can not be empty', code: 'notEmpty', params: {} },
+      ]);
+    });
+
+    it('keeps the code when the message is overridden', async () => {
+      const schema = {
+        a: types.isNumeric.and(withMessage(conditions.range(0, 1), 'too big')),
+      };
+      assert.deepEqual(await validateData(schema, { a: 2 }), [
+        { key: 'a', error: 'too big', code: 'range', params: { lower: 0, upper: 1 } },
+      ]);
+    });
+
+    it('returns plain messages when validators are called directly', async () => {
+      assert.equal(types.isString(1), 'value is not a string');
+      assert.equal(await types.isNumeric.and(conditions.range(0, 1))(2), 'value falls outside of range (0, 1)');
+    });
+  });
+
+  describe('locales', () => {
+    addLocale('de', {
+      'required': 'Wert fehlt',
+      'range': 'Wert liegt nicht zwischen {lower} und {upper}',
+      'inList': (params) => `Erlaubt sind nur: ${params.list.join(' oder ')}`,
+    });
+
+    const schema = {
+      name: types.isString.and(conditions.required),
+      age: types.isInteger.and(conditions.range(0, 150)),
+      color: types.isString.and(conditions.inList(['rot', 'blau'])),
+      size: types.isNumeric,
+    };
+    const data = { age: 200, color: 'gelb', size: '1' };
+
+    afterEach(() => {
+      setLocale('en');
+    });
+
+    it('uses the locale passed to validateData', async () => {
+      const result = await validateData(schema, data, { locale: 'de' });
+      assert.deepEqual(toKeys(result), {
+        name: 'Wert fehlt',
+        age: 'Wert liegt nicht zwischen 0 und 150',
+        color: 'Erlaubt sind nur: rot oder blau',
+        size: 'value is not a number', // falls back to english
+      });
+    });
+
+    it('uses the locale set globally', async () => {
+      setLocale('de');
+      assert.deepEqual(toKeys(await validateData(schema, data)).name, 'Wert fehlt');
+      assert.equal(await types.isString.and(conditions.required)(undefined), 'Wert fehlt');
+    });
+
+    it('keeps overridden messages', async () => {
+      const result = await validateData({ a: withMessage(types.isString, 'custom') }, { a: 1 }, { locale: 'de' });
+      assert.deepEqual(result, [{ key: 'a', error: 'custom', code: 'type.string', params: {} }]);
+    });
+
+    it('returns a plain message for function schemas', async () => {
+      assert.equal(await validateData(types.isString.and(conditions.required), undefined, { locale: 'de' }), 'Wert fehlt');
+    });
+
+    it('throws for unknown locales', async () => {
+      assert.throws(() => setLocale('xx'), { message: 'Unknown locale: xx' });
+      await assert.rejects(validateData(schema, data, { locale: 'xx' }), { message: 'Unknown locale: xx' });
+    });
+  });
+
+  describe('translators', () => {
+    it('translates the value before the type and conditions', async () => {
+      assert.equal(await types.isInteger.and(translators.toNumber, conditions.range(1, 100))('10'), true);
+      assert.equal(await types.isInteger.and(translators.toNumber, conditions.range(1, 100))('1000'), 'value falls outside of range (1, 100)');
+      assert.equal(await types.isString.and(translators.trim, conditions.notEmpty)('  '), 'string value can not be empty');
+    });
+
+    it('passes values that can not be converted on to the type', async () => {
+      assert.equal(await types.isInteger.and(translators.toNumber)('ten'), 'value is not an integer');
+      assert.equal(await types.isBoolean.and(translators.toBoolean)('yes'), 'value is not a boolean');
+    });
+
+    it('returns the translated value', async () => {
+      const schema = {
+        limit: types.isInteger.and(translators.toNumber, conditions.required),
+        active: types.isBoolean.and(translators.toBoolean),
+        email: types.isString.and(translators.trim, translators.toLowerCase),
+        since: types.isCustom((value) => value instanceof Date || 'value is not a date').and(translators.toDate),
+        tags: types.isArray.and(translators.map((value) => value.split(',')), conditions.ofType(types.isString.and(translators.trim))),
+        nested: {
+          count: types.isNumeric.and(translators.toNumber),
+        },
+      };
+      const { value, errors } = await validate(schema, {
+        limit: '10',
+        active: '0',
+        email: ' Me@Example.com ',
+        since: '2024-01-31T10:00:00Z',
+        tags: 'a, b',
+        nested: { count: '1.5' },
+      });
+      assert.deepEqual(errors, []);
+      assert.deepEqual(value, {
+        limit: 10,
+        active: false,
+        email: 'me@example.com',
+        since: new Date('2024-01-31T10:00:00Z'),
+        tags: ['a', 'b'],
+        nested: { count: 1.5 },
+      });
+    });
+
+    it('translates values inside ofShape, ofType and isAnyOf', async () => {
+      const schema = types.isObject.and(conditions.ofShape({
+        ids: types.isArray.and(conditions.ofType({ id: types.isInteger.and(translators.toNumber) })),
+        size: types.isAnyOf([types.isBoolean.and(translators.toBoolean), types.isNumeric.and(translators.toNumber)]),
+      }));
+      const { value, errors } = await validate(schema, { ids: [{ id: '1' }, { id: '2' }], size: '10' });
+      assert.deepEqual(errors, []);
+      assert.deepEqual(value, { ids: [{ id: 1 }, { id: 2 }], size: 10 });
+    });
+
+    it('returns a copy shaped like the schema along with the errors', async () => {
+      const data = { a: '1', b: 'x' };
+      const { value, errors } = await validate({ a: types.isNumeric.and(translators.toNumber) }, data);
+      assert.deepEqual(value, { a: 1 });
+      assert.deepEqual(data, { a: '1', b: 'x' });
+      assert.deepEqual(errors, [{ key: 'b', error: 'extraneous key found', code: 'extraneous', params: {} }]);
+    });
+
+    it('returns errors of function based schemas', async () => {
+      assert.deepEqual(await validate(types.isNumeric.and(translators.toNumber), 'x'), {
+        value: 'x',
+        errors: [{ key: '', error: 'value is not a number', code: 'type.number', params: {} }],
+      });
+    });
+  });
+
+  describe('defaultTo', () => {
+    it('fills in missing keys', async () => {
+      const schema = {
+        pageSize: types.isInteger.and(conditions.defaultTo(20)),
+        tags: types.isArray.and(conditions.defaultTo(() => []), conditions.ofType(types.isString)),
+        sort: types.isString,
+      };
+      const { value, errors } = await validate(schema, {});
+      assert.deepEqual(errors, []);
+      assert.deepEqual(value, { pageSize: 20, tags: [] });
+      assert.deepEqual((await validate(schema, { pageSize: 5 })).value, { pageSize: 5, tags: [] });
+    });
+
+    it('creates a new default from a factory every time', async () => {
+      const schema = { tags: types.isArray.and(conditions.defaultTo(() => [])) };
+      const first = await validate(schema, {});
+      const second = await validate(schema, {});
+      assert.notEqual(first.value.tags, second.value.tags);
+    });
+
+    it('does not replace null', async () => {
+      const schema = { a: types.isString.and(conditions.defaultTo('x'), conditions.nullable) };
+      assert.deepEqual((await validate(schema, { a: null })).value, { a: null });
+    });
+
+    it('satisfies required regardless of the order', async () => {
+      assert.equal(await types.isInteger.and(conditions.required, conditions.defaultTo(1))(undefined), true);
+      assert.deepEqual((await validate({ a: types.isInteger.and(conditions.required, conditions.defaultTo(1)) }, {})).value, { a: 1 });
+    });
+
+    it('applies before other translators', async () => {
+      const schema = { a: types.isInteger.and(translators.toNumber, conditions.defaultTo('7')) };
+      assert.deepEqual((await validate(schema, {})).value, { a: 7 });
+    });
+
+    it('validates the default', async () => {
+      assert.equal(await types.isInteger.and(conditions.defaultTo(1.5))(undefined), 'value is not an integer');
+    });
+
+    it('fills in keys of ofShape and ofType item schemas', async () => {
+      const schema = {
+        options: types.isObject.and(
+          conditions.defaultTo(() => ({})),
+          conditions.ofShape({ pageSize: types.isInteger.and(conditions.defaultTo(20)) })
+        ),
+        items: types.isArray.and(conditions.ofType({
+          quantity: types.isInteger.and(conditions.defaultTo(1)),
+          sku: types.isString.and(conditions.required),
+        })),
+      };
+      const { value, errors } = await validate(schema, { items: [{ sku: 'a' }, { sku: 'b', quantity: 3 }] });
+      assert.deepEqual(errors, []);
+      assert.deepEqual(value, {
+        options: { pageSize: 20 },
+        items: [{ sku: 'a', quantity: 1 }, { sku: 'b', quantity: 3 }],
+      });
+    });
+  });
+
+  describe('unknown keys', () => {
+    const schema = {
+      id: types.isInteger,
+      meta: { source: types.isString },
+    };
+    const data = { id: 1, extra: true, meta: { source: 'api', version: 2 } };
+
+    it('reports unknown keys by default', async () => {
+      assert.deepEqual(await validateData(schema, data), [
+        { key: 'meta.version', error: 'extraneous key found', code: 'extraneous', params: {} },
+        { key: 'extra', error: 'extraneous key found', code: 'extraneous', params: {} },
+      ]);
+    });
+
+    it('strips unknown keys', async () => {
+      assert.equal(await validateData(schema, data, { unknownKeys: 'strip' }), true);
+      assert.deepEqual(await validate(schema, data, { unknownKeys: 'strip' }), {
+        value: { id: 1, meta: { source: 'api' } },
+        errors: [],
+      });
+    });
+
+    it('allows unknown keys', async () => {
+      assert.deepEqual(await validate(schema, data, { unknownKeys: 'allow' }), {
+        value: { id: 1, extra: true, meta: { source: 'api', version: 2 } },
+        errors: [],
+      });
+    });
+
+    it('can be set per shape', async () => {
+      const webhook = {
+        id: types.isInteger,
+        payload: types.isObject.and(conditions.ofShape({
+          event: types.isString,
+          details: { name: types.isString },
+          strict: types.isObject.and(conditions.ofShape({ a: types.isString }, { unknownKeys: 'error' })),
+        }, { unknownKeys: 'allow' })),
+      };
+      const result = await validate(webhook, {
+        id: 1,
+        other: 1,
+        payload: { event: 'push', added: 1, details: { name: 'x', more: 2 }, strict: { a: 'a', b: 'b' } },
+      });
+      assert.deepEqual(result.errors, [
+        { key: 'payload.strict.b', error: 'extraneous key found', code: 'extraneous', params: {} },
+        { key: 'other', error: 'extraneous key found', code: 'extraneous', params: {} },
+      ]);
+      assert.deepEqual(result.value.payload, { event: 'push', added: 1, details: { name: 'x', more: 2 }, strict: { a: 'a' } });
+    });
+
+    it('throws for unknown policies', async () => {
+      assert.throws(() => conditions.ofShape({}, { unknownKeys: 'ignore' }), {
+        message: 'Unknown unknownKeys policy: ignore. Expected one of: error,strip,allow'
+      });
+      await assert.rejects(validateData(schema, data, { unknownKeys: 'ignore' }));
+    });
+  });
+
+  describe('abortEarly and collectAll', () => {
+    const isUpperCase = (value) => (value === value.toUpperCase() ? true : 'value is not upper case');
+    isUpperCase.priority = 1;
+    const schema = {
+      code: types.isString.and(conditions.inList(['a', 'b', 'C']), isUpperCase, conditions.required),
+      name: types.isString.and(conditions.required),
+      items: types.isArray.and(conditions.ofType({ id: types.isInteger })),
+    };
+    const data = { code: 'c', items: [{ id: 'x' }, { id: 'y' }], extra: 1 };
+
+    it('reports the first failing condition of every value by default', async () => {
+      assert.deepEqual(toKeys(await validateData(schema, data)), {
+        code: 'value does not match accepted values: [a,b,C]',
+        name: 'value is required but missing',
+        'items.0.id': 'value is not an integer',
+        'items.1.id': 'value is not an integer',
+        extra: 'extraneous key found',
+      });
+    });
+
+    it('reports every failing condition with collectAll', async () => {
+      const result = await validateData(schema, data, { collectAll: true });
+      assert.deepEqual(result.slice(0, 3), [
+        { key: 'code', error: 'value does not match accepted values: [a,b,C]', code: 'inList', params: { list: ['a', 'b', 'C'] } },
+        { key: 'code', error: 'value is not upper case', code: 'custom', params: {} },
+        { key: 'name', error: 'value is required but missing', code: 'required', params: {} },
+      ]);
+      assert.equal(result.length, 6);
+    });
+
+    it('does not run conditions on missing values with collectAll', async () => {
+      const schema = { a: types.isNumeric.and(conditions.required, conditions.range(0, 1)) };
+      assert.deepEqual(toKeys(await validateData(schema, {}, { collectAll: true })), {
+        a: 'value is required but missing',
+      });
+    });
+
+    it('stops at the first error with abortEarly', async () => {
+      assert.deepEqual(await validateData(schema, data, { abortEarly: true }), [
+        { key: 'code', error: 'value does not match accepted values: [a,b,C]', code: 'inList', params: { list: ['a', 'b', 'C'] } },
+      ]);
+      assert.deepEqual(await validateData(schema, { code: 'C', name: 'n', items: [{ id: 'x' }, { id: 'y' }], extra: 1 }, { abortEarly: true }), [
+        { key: 'items.0.id', error: 'value is not an integer', code: 'type.integer', params: {} },
+      ]);
+      assert.deepEqual(await validateData(schema, { code: 'C', name: 'n', extra: 1, more: 2 }, { abortEarly: true }), [
+        { key: 'extra', error: 'extraneous key found', code: 'extraneous', params: {} },
+      ]);
+    });
+
+    it('does not abort on failed isAnyOf types', async () => {
+      const schema = { a: types.isAnyOf([types.isString, types.isNumeric]), b: types.isString };
+      assert.deepEqual(toKeys(await validateData(schema, { a: 1, b: 2 }, { abortEarly: true })), {
+        b: 'value is not a string',
+      });
+    });
+
+    it('can not be combined', async () => {
+      await assert.rejects(validateData(schema, data, { abortEarly: true, collectAll: true }), {
+        message: 'Options abortEarly and collectAll can not be combined'
+      });
+    });
+  });
+
+  describe('synchronous validation', () => {
+    const schema = {
+      id: types.isInteger.and(translators.toNumber, conditions.required),
+      name: types.isString.and(withMessage(conditions.notEmpty, 'Name can not be empty')),
+      color: types.isAnyOf([types.isString.and(conditions.inList(['red'])), { r: types.isInteger }]),
+      tags: types.isArray.and(conditions.ofType(types.isString), conditions.defaultTo(() => [])),
+      meta: types.isObject.and(conditions.ofShape({ sync: types.isCustom((value) => value === true || 'not sync') })),
+    };
+
+    it('returns the same result as validateData without promises', async () => {
+      const data = { id: 'x', name: '', color: { r: 'a' }, meta: { sync: false }, extra: 1 };
+      const result = validateDataSync(schema, data);
+      assert.equal(typeof result.then, 'undefined');
+      assert.deepEqual(result, await validateData(schema, data));
+      assert.equal(validateDataSync(schema, { id: 1, color: 'red' }), true);
+    });
+
+    it('returns the translated value', () => {
+      assert.deepEqual(validateSync(schema, { id: '1' }), { value: { id: 1, tags: [] }, errors: [] });
+    });
+
+    it('accepts options', () => {
+      assert.deepEqual(validateDataSync(schema, { id: 1, extra: 1 }, { unknownKeys: 'strip' }), true);
+    });
+
+    it('returns a plain message for function schemas', () => {
+      assert.equal(validateDataSync(types.isString.and(conditions.required), undefined), 'value is required but missing');
+    });
+
+    it('provides sync versions of validators with conditions', () => {
+      assert.equal(types.isString.and(conditions.required).sync(undefined), 'value is required but missing');
+      assert.equal(types.isString.and(conditions.required).sync('a'), true);
+      assert.deepEqual(types.isArray.and(conditions.ofType(types.isString)).sync([1]), [
+        { key: '0', error: 'value is not a string', code: 'type.string', params: {} },
+      ]);
+    });
+
+    it('throws when an asynchronous validator is found', () => {
+      const isAsync = types.isCustom(async () => true);
+      const isAsyncCondition = async () => true;
+      isAsyncCondition.priority = 1;
+      const message = 'Asynchronous validator found for "a.b" during synchronous validation, use validateData instead';
+      assert.throws(() => validateDataSync({ a: { b: isAsync } }, { a: { b: 1 } }), { message });
+      assert.throws(() => validateDataSync({ a: { b: types.isString.and(isAsyncCondition) } }, { a: { b: 'a' } }), { message });
+      assert.throws(() => validateDataSync({ a: { b: types.isString.and(translators.map(async (v) => v)) } }, { a: { b: 'a' } }), { message });
+    });
+
+    it('still supports asynchronous validators with validateData', async () => {
+      assert.equal(await validateData({ a: types.isCustom(async () => true) }, { a: 1 }), true);
+    });
+  });
+
+  describe('compile', () => {
+    const schema = {
+      id: types.isInteger.and(translators.toNumber, conditions.required),
+      name: types.isString.and(conditions.notEmpty),
+      tags: types.isArray.and(conditions.ofType(types.isString), conditions.defaultTo(() => [])),
+      address: {
+        city: types.isString.and(conditions.required),
+      },
+      scores: {
+        '*': types.isInteger.and(conditions.range(0, 10)),
+      },
+      check: types.isCustom(async (value) => value !== 'bad' || 'value is bad'),
+    };
+    const samples = [
+      { id: 1, address: { city: 'Berlin' } },
+      { id: '2', name: 'a', tags: ['a'], address: { city: 'Berlin' }, scores: { a: 1, b: 2 } },
+      { id: 'x', name: '', tags: [1, 'a', 2], address: {}, scores: { a: 11 }, check: 'bad', extra: 1 },
+      'not an object',
+      undefined,
+    ];
+
+    it('returns the same results as validateData', async () => {
+      const compiled = compile(schema);
+      for (const data of samples) {
+        assert.deepEqual(await compiled(data), await validateData(schema, data));
+        assert.deepEqual(await compiled(data, { collectAll: true }), await validateData(schema, data, { collectAll: true }));
+        assert.deepEqual(await compiled(data, { abortEarly: true }), await validateData(schema, data, { abortEarly: true }));
+        assert.deepEqual(await compiled.validate(data), await validate(schema, data));
+      }
+    });
+
+    it('can be reused', async () => {
+      const compiled = compile(schema);
+      assert.deepEqual(await compiled({ id: 'x', address: { city: 'a' } }), [
+        { key: 'id', error: 'value is not an integer', code: 'type.integer', params: {} },
+      ]);
+      assert.equal(await compiled({ id: 1, address: { city: 'a' } }), true);
+      assert.deepEqual(await compiled.validate({ id: '1', address: { city: 'a' } }), {
+        value: { id: 1, tags: [], address: { city: 'a' } },
+        errors: [],
+      });
+    });
+
+    it('accepts options', async () => {
+      const compiled = compile({ a: types.isString });
+      assert.equal(await compiled({ a: 'a', b: 1 }, { unknownKeys: 'allow' }), true);
+      await assert.rejects(compiled({}, { locale: 'xx' }), { message: 'Unknown locale: xx' });
+    });
+
+    it('validates synchronously', () => {
+      const syncSchema = { id: schema.id, name: schema.name, address: schema.address };
+      const compiled = compile(syncSchema);
+      const data = { id: 'x', name: '', address: {} };
+      assert.deepEqual(compiled.sync(data), validateDataSync(syncSchema, data));
+      assert.deepEqual(compiled.validateSync({ id: '1' }), { value: { id: 1 }, errors: [] });
+      assert.throws(() => compile(schema).sync({ check: 1 }), {
+        message: 'Asynchronous validator found for "check" during synchronous validation, use validateData instead',
+      });
+    });
+
+    it('returns a plain message for function schemas', async () => {
+      const compiled = compile(types.isString.and(conditions.required));
+      assert.equal(await compiled(undefined), 'value is required but missing');
+      assert.equal(compiled.sync(1), 'value is not a string');
+    });
+
+    it('reports invalid schemas when validating', async () => {
+      const compiled = compile({ '*': types.isString, a: undefined });
+      await assert.rejects(compiled({}), { message: 'incorrect schema value for a' });
+    });
+
+    it('validates object literals referencing themselves', async () => {
+      const node = { name: types.isString };
+      node.child = node;
+      assert.equal(await validateData(node, { name: 'a', child: { name: 'b' } }), true);
+      assert.deepEqual(await validateData(node, { child: { child: { name: 1 } } }), [
+        { key: 'child.child.name', error: 'value is not a string', code: 'type.string', params: {} },
+      ]);
+      const list = types.isArray.and(conditions.ofType(node));
+      assert.equal(list.sync([{ name: 'a', child: { name: 'b' } }]), true);
+    });
+
+    it('reports schema values that are not object literals or functions', async () => {
+      await assert.rejects(validateData({ a: 'isString' }, { a: 'x' }), { message: 'incorrect schema value for a' });
+      await assert.rejects(validateData({ a: 'isString' }, {}), { message: 'incorrect schema value for a' });
+      const list = types.isArray.and(conditions.ofType('isString'));
+      assert.throws(() => list.sync(['x']), { message: 'incorrect schema value for 0' });
+    });
+
+    it('keeps the plan internal', () => {
+      const lib = require('../src/index').default;
+      assert.equal(typeof lib.compile, 'function');
+      assert.equal(lib.planSchema, undefined);
+      assert.equal(lib.validatePlan, undefined);
+    });
+  });
+
+  describe('toJSONSchema', () => {
+    const draft = 'https://json-schema.org/draft/2020-12/schema';
+
+    it('converts object literals, types and conditions', () => {
+      const schema = {
+        id: types.isInteger.and(conditions.required, conditions.range(1, undefined)),
+        name: types.isString.and(conditions.required.notNull, conditions.notEmpty),
+        score: types.isNumeric.and(conditions.range(0, 100), conditions.defaultTo(0)),
+        color: types.isString.and(conditions.inList(['red', 'green'])),
+        tags: types.isArray.and(conditions.ofType(types.isString), conditions.range(undefined, 5), conditions.defaultTo(() => [])),
+        active: types.isBoolean,
+        address: {
+          city: types.isString.and(conditions.required),
+        },
+      };
+      assert.deepEqual(toJSONSchema(schema), {
+        $schema: draft,
+        type: 'object',
+        properties: {
+          id: { type: 'integer', minimum: 1 },
+          name: { type: 'string', minLength: 1 },
+          score: { type: 'number', minimum: 0, maximum: 100, default: 0 },
+          color: { type: 'string', enum: ['red', 'green'] },
+          tags: { type: 'array', items: { type: 'string' }, maxItems: 5, default: [] },
+          active: { type: 'boolean' },
+          address: {
+            type: 'object',
+            properties: { city: { type: 'string' } },
+            required: ['city'],
+            additionalProperties: false,
+          },
+        },
+        required: ['id', 'name'],
+        additionalProperties: false,
+      });
+    });
+
+    it('converts shapes, wildcards and isAnyOf', () => {
+      const schema = {
+        user: types.isObject.and(conditions.ofShape({ name: types.isString }, { unknownKeys: 'allow' })),
+        scores: { '*': types.isInteger },
+        items: types.isArray.and(conditions.ofType({ sku: types.isString.and(conditions.required) })),
+        value: types.isAnyOf([types.isString, types.isInteger.and(conditions.range(0, 1))]),
+      };
+      assert.deepEqual(toJSONSchema(schema).properties, {
+        user: { type: 'object', properties: { name: { type: 'string' } } },
+        scores: { type: 'object', additionalProperties: { type: 'integer' } },
+        items: {
+          type: 'array',
+          items: { type: 'object', properties: { sku: { type: 'string' } }, required: ['sku'], additionalProperties: false },
+        },
+        value: { anyOf: [{ type: 'string' }, { type: 'integer', minimum: 0, maximum: 1 }] },
+      });
+    });
+
+    it('converts nullable values', () => {
+      const schema = {
+        a: types.isString.and(conditions.nullable),
+        b: types.isString.and(conditions.nullable, conditions.inList(['x'])),
+        c: types.isAnyOf([types.isString, types.isInteger]).and(conditions.nullable),
+        d: types.isString.and(conditions.required.notNull, conditions.nullable),
+      };
+      assert.deepEqual(toJSONSchema(schema).properties, {
+        a: { type: ['string', 'null'] },
+        b: { type: ['string', 'null'], enum: ['x', null] },
+        c: { anyOf: [{ anyOf: [{ type: 'string' }, { type: 'integer' }] }, { type: 'null' }] },
+        d: { type: 'string' },
+      });
+    });
+
+    it('follows the unknownKeys policy', () => {
+      const result = toJSONSchema({ a: types.isString }, { unknownKeys: 'strip' });
+      assert.deepEqual(result, { $schema: draft, type: 'object', properties: { a: { type: 'string' } } });
+      assert.throws(() => toJSONSchema({}, { unknownKeys: 'nope' }), /Unknown unknownKeys policy: nope/);
+    });
+
+    it('converts function schemas and custom messages', () => {
+      assert.deepEqual(toJSONSchema(types.isString.and(conditions.notEmpty)), { $schema: draft, type: 'string', minLength: 1 });
+      const schema = {
+        a: withMessage(types.isString.and(conditions.required), 'A is needed'),
+        b: withMessage(types.isInteger, 'B must be an integer').and(withMessage(conditions.range(0, 1), 'out of range')),
+      };
+      assert.deepEqual(toJSONSchema(schema), {
+        $schema: draft,
+        type: 'object',
+        properties: { a: { type: 'string' }, b: { type: 'integer', minimum: 0, maximum: 1 } },
+        required: ['a'],
+        additionalProperties: false,
+      });
+    });
+
+    it('ignores translators', () => {
+      const schema = types.isInteger.and(translators.toNumber, translators.map((v) => v));
+      assert.deepEqual(toJSONSchema(schema), { $schema: draft, type: 'integer' });
+    });
+
+    it('reports validators that can not be represented', () => {
+      const isEven = (value) => value % 2 === 0 || 'not even';
+      isEven.priority = 1;
+      const schema = {
+        a: types.isCustom(() => true),
+        b: types.isInteger.and(isEven),
+        c: types.isString.and(conditions.minLength(1, { unit: 'graphemes' })),
+      };
+      assert.deepEqual(toJSONSchema(schema).properties, {
+        a: { $comment: 'isCustom can not be represented in JSON Schema' },
+        b: { type: 'integer', $comment: 'Condition isEven can not be represented in JSON Schema' },
+        c: { type: 'string', $comment: 'minLength counting graphemes can not be represented in JSON Schema' },
+      });
+    });
+
+    it('exposes the metadata of validators', () => {
+      const validator = types.isString.and(conditions.required, conditions.inList(['a']));
+      assert.equal(validator.kind, 'string');
+      assert.equal(validator.type, types.isString);
+      assert.equal(validator.required, true);
+      assert.deepEqual(validator.conditions.map((condition) => condition.kind), ['required', 'inList']);
+      assert.deepEqual(validator.conditions[1].params, { list: ['a'] });
+    });
+
+    it('throws for invalid schemas', () => {
+      assert.throws(() => toJSONSchema({ a: { b: undefined } }), { message: 'incorrect schema value for a.b' });
+    });
+  });
+
+  describe('string length and patterns', () => {
+    it('validates minLength and maxLength', async () => {
+      const schema = { name: types.isString.and(conditions.minLength(2), conditions.maxLength(4)) };
+      assert.equal(await validateData(schema, { name: 'abc' }), true);
+      assert.deepEqual(await validateData(schema, { name: 'a' }), [
+        { key: 'name', error: 'string must be at least 2 characters long', code: 'length.min', params: { min: 2 } },
+      ]);
+      assert.deepEqual(await validateData(schema, { name: 'abcde' }), [
+        { key: 'name', error: 'string must be at most 4 characters long', code: 'length.max', params: { max: 4 } },
+      ]);
+    });
+
+    it('validates matches', async () => {
+      const regex = /^[a-z]+$/g;
+      const schema = { slug: types.isString.and(conditions.matches(regex)) };
+      assert.equal(await validateData(schema, { slug: 'abc' }), true);
+      assert.equal(await validateData(schema, { slug: 'abc' }), true);
+      assert.deepEqual(await validateData(schema, { slug: 'a b' }), [
+        { key: 'slug', error: 'value does not match the pattern /^[a-z]+$/g', code: 'matches', params: { regex } },
+      ]);
+    });
+  });
+
+  describe('isOneOf', () => {
+    const schema = { value: types.isOneOf([types.isInteger, types.isNumeric.and(conditions.range(0, 1)), types.isString]) };
+
+    it('passes when exactly one type matches', async () => {
+      assert.equal(await validateData(schema, { value: 5 }), true);
+      assert.equal(await validateData(schema, { value: 0.5 }), true);
+      assert.equal(await validateData(schema, { value: 'a' }), true);
+    });
+
+    it('fails when no or more than one type matches', async () => {
+      assert.deepEqual(await validateData(schema, { value: true }), [
+        { key: 'value', error: 'value failed to match exactly one of the allowed types', code: 'oneOf', params: {} },
+      ]);
+      assert.deepEqual(await validateData(schema, { value: 1 }), [
+        { key: 'value', error: 'value matches more than one of the allowed types', code: 'oneOf.multiple', params: {} },
+      ]);
+    });
+
+    it('returns the value translated by the matching type', () => {
+      const schema = { value: types.isOneOf([types.isBoolean, types.isInteger.and(translators.toNumber)]) };
+      assert.deepEqual(validateSync(schema, { value: '5' }), { value: { value: 5 }, errors: [] });
+    });
+  });
+
+  describe('fromJSONSchema', () => {
+    const doc = {
+      $schema: 'https://json-schema.org/draft/2020-12/schema',
+      title: 'Order',
+      type: 'object',
+      properties: {
+        id: { type: 'integer', minimum: 1 },
+        email: { type: 'string', maxLength: 20, pattern: '^\\S+@\\S+$' },
+        status: { enum: ['open', 'closed'] },
+        note: { type: ['string', 'null'], minLength: 1 },
+        customer: { $ref: '#/$defs/customer' },
+        items: { type: 'array', items: { $ref: '#/$defs/item' }, minItems: 1 },
+        meta: { type: 'object', additionalProperties: { type: 'string' } },
+        payment: {
+          oneOf: [
+            { type: 'object', properties: { card: { type: 'string' } }, required: ['card'], additionalProperties: false },
+            { type: 'object', properties: { iban: { type: 'string' } }, required: ['iban'], additionalProperties: false },
+          ],
+        },
+        price: { anyOf: [{ type: 'number' }, { type: 'string', pattern: '^\\d+$' }, { type: 'null' }] },
+      },
+      required: ['id', 'customer'],
+      additionalProperties: false,
+      $defs: {
+        customer: { type: 'object', properties: { name: { type: 'string' } }, required: ['name'] },
+        item: { type: 'object', properties: { sku: { type: 'string' }, quantity: { type: 'integer', maximum: 10 } } },
+      },
+    };
+    const schema = fromJSONSchema(doc);
+
+    it('accepts valid data', async () => {
+      const data = {
+        id: 1,
+        email: 'a@b.c',
+        status: 'open',
+        note: null,
+        customer: { name: 'Jane', vip: true },
+        items: [{ sku: 'a', quantity: 2 }],
+        meta: { a: 'b' },
+        payment: { card: '4111' },
+        price: '10',
+      };
+      assert.equal(await validateData(schema, data), true);
+      assert.equal(await validateData(schema, { id: 1, customer: { name: 'Jane' }, price: null }), true);
+    });
+
+    it('reports errors in the usual format', async () => {
+      const data = {
+        id: 0,
+        email: 'nope',
+        status: 'new',
+        note: '',
+        customer: {},
+        items: [{ quantity: 11 }],
+        meta: { a: 1 },
+        payment: { card: '4111', iban: 'DE' },
+        price: true,
+        extra: 1,
+      };
+      const result = await validateData(schema, data, {});
+      assert.deepEqual(toKeys(result), {
+        'id': 'value must be greater than or equal to 1',
+        'email': 'value does not match the pattern /^\\S+@\\S+$/u',
+        'status': 'value does not match accepted values: [open,closed]',
+        'note': 'string must be at least 1 characters long',
+        'customer.name': 'value is required but missing',
+        'items.0.quantity': 'value must be less than or equal to 10',
+        'meta.a': 'value is not a string',
+        'payment': 'value failed to match exactly one of the allowed types',
+        'price': 'value failed to match one of the the allowed types',
+        'extra': 'extraneous key found',
+      });
+      assert.deepEqual(toKeys(await validateData(schema, {}, {})), {
+        id: 'value is required but missing',
+        customer: 'value is required but missing',
+      });
+    });
+
+    it('converts types without keywords and lists of types', async () => {
+      assert.equal(await validateData(fromJSONSchema({}), 'anything', {}), true);
+      const schema = fromJSONSchema({ type: ['integer', 'boolean'] });
+      assert.equal(await validateData(schema, true, {}), true);
+      assert.equal(await validateData(schema, 'a', {}), 'value failed to match one of the the allowed types');
+      assert.equal(await validateData(fromJSONSchema({ type: 'null' }), 1, {}), 'value failed to match one of the the allowed types');
+      assert.equal(await validateData(fromJSONSchema({ type: 'null' }), null, {}), true);
+    });
+
+    it('applies keywords without a type only to values of their type', () => {
+      const minimum = fromJSONSchema({ minimum: 1 });
+      assert.equal(validateDataSync(minimum, 'abc'), true);
+      assert.equal(validateDataSync(minimum, 0), 'value must be greater than or equal to 1');
+      const properties = fromJSONSchema({ properties: { a: { type: 'string' } }, minLength: 2 });
+      assert.equal(validateDataSync(properties, 5), true);
+      assert.equal(validateDataSync(properties, [1]), true);
+      assert.equal(validateDataSync(properties, 'a'), 'string must be at least 2 characters long');
+      assert.deepEqual(validateDataSync(properties, { a: 1 }), [
+        { key: 'a', error: 'value is not a string', code: 'type.string', params: {} },
+      ]);
+      const { $schema, ...json } = toJSONSchema(properties);
+      assert.deepEqual(json, { properties: { a: { type: 'string' } }, minLength: 2 });
+    });
+
+    it('compares objects and arrays in enum and const by value', () => {
+      const schema = fromJSONSchema({ enum: [{ a: 1 }, [1, 2], 'x'] });
+      assert.equal(validateDataSync(schema, { a: 1 }), true);
+      assert.equal(validateDataSync(schema, [1, 2]), true);
+      assert.equal(validateDataSync(schema, 'x'), true);
+      assert.notEqual(validateDataSync(schema, { a: 2 }), true);
+      assert.notEqual(validateDataSync(schema, [2, 1]), true);
+      const constant = fromJSONSchema({ type: 'object', const: { a: [1] } });
+      assert.equal(validateDataSync(constant, { a: [1] }), true);
+      assert.notEqual(validateDataSync(constant, { a: [2] }), true);
+    });
+
+    it('reports unsupported keywords', () => {
+      const unsupported = {
+        type: 'object',
+        properties: {
+          email: { type: 'string', format: 'hostname' },
+          a: { $ref: 'https://example.com/schema.json' },
+          b: { $ref: '#/$defs/missing' },
+          node: { $ref: '#/$defs/node' },
+        },
+        $defs: {
+          node: { type: 'object', properties: { child: { $ref: '#/$defs/node' } } },
+        },
+        if: { type: 'object' },
+      };
+      assert.throws(() => fromJSONSchema(unsupported), {
+        message: 'Unsupported JSON Schema keywords: #/if, #/properties/email/format (hostname), ' +
+          '#/properties/a/$ref (https://example.com/schema.json), #/properties/b/$ref (#/$defs/missing), ' +
+          '#/$defs/node/properties/child/$ref (recursive #/$defs/node)',
+      });
+    });
+
+    it('round trips with toJSONSchema', () => {
+      const json = {
+        type: 'object',
+        properties: {
+          name: { type: 'string', minLength: 1, maxLength: 5, pattern: '^a' },
+          tags: { type: 'array', items: { type: 'string' }, maxItems: 2 },
+          kind: { oneOf: [{ type: 'integer', minimum: 0, maximum: 1 }, { type: 'boolean' }] },
+        },
+        required: ['name'],
+        additionalProperties: false,
+      };
+      const { $schema, ...result } = toJSONSchema(fromJSONSchema(json));
+      assert.equal($schema, 'https://json-schema.org/draft/2020-12/schema');
+      assert.deepEqual(result, json);
+    });
+  });
+
+  describe('string formats', () => {
+    const cases = {
+      email: [['jane@example.com', 'first.last+tag@sub.example.co'], ['jane', 'jane@example', 'a..b@example.com', 'jane@-example.com', '@example.com']],
+      url: [['https://example.com', 'http://localhost:8080/path?q=1'], ['example.com', 'ftp://example.com', 'https://']],
+      uri: [['urn:isbn:0451450523', 'mailto:jane@example.com', 'ftp://example.com/a%20b'], ['example.com', '1a:b', 'https://exa mple.com', 'a:%zz']],
+      uuid: [['123e4567-e89b-12d3-a456-426614174000', '017F22E2-79B0-7CC3-98C4-DC0C0C07398F'], ['123e4567-e89b-82d3-a456-426614174000', '123e4567-e89b-12d3-c456-426614174000', '123e4567e89b12d3a456426614174000']],
+      isoDate: [['2024-02-29', '1999-12-31'], ['2023-02-29', '2024-13-01', '2024-1-1', '2024-01-31T00:00:00Z']],
+      isoDateTime: [['2024-01-31T12:00:00Z', '2024-01-31T12:00', '2024-01-31T23:59:59.123+02:00'], ['2024-01-31', '2024-01-31T24:00:00Z', '2024-02-30T12:00:00Z', '2024-01-31 12:00:00']],
+      hexColor: [['#fff', '#FF0000', '#ff000080'], ['fff', '#ff00f', '#gggggg']],
+      ipv4: [['192.168.0.1', '0.0.0.0', '255.255.255.255'], ['256.0.0.1', '1.2.3', '01.2.3.4']],
+      ipv6: [['2001:db8::1', '::', '::1', 'fe80::1:2:3:4', '::ffff:192.168.0.1', '1:2:3:4:5:6:7:8'], ['1:2:3:4:5:6:7:8:9', '1::2::3', '12345::', '1.2.3.4::', '1:2:3:4:5:6:7']],
+      slug: [['my-post-1', 'a'], ['My-Post', 'my--post', '-post', 'my_post']],
+      e164: [['+14155552671', '+491701234567'], ['14155552671', '+0123', '+1415555267112345']],
+    };
+
+    for (const format of Object.keys(cases)) {
+      it(`validates ${format}`, () => {
+        const [valid, invalid] = cases[format];
+        for (const value of valid) {
+          assert.equal(conditions[format](value), true, value);
+        }
+        for (const value of invalid) {
+          assert.notEqual(conditions[format](value), true, value);
+        }
+      });
+    }
+
+    it('validates a single UUID version', () => {
+      assert.equal(conditions.uuid.version(4)('123e4567-e89b-42d3-a456-426614174000'), true);
+      assert.equal(conditions.uuid.version(4)('123e4567-e89b-12d3-a456-426614174000'), 'value is not a valid version 4 UUID');
+    });
+
+    it('reports descriptive errors', async () => {
+      const schema = {
+        email: types.isString.and(conditions.email),
+        ids: types.isArray.and(conditions.ofType(types.isString.and(conditions.uuid.version(4)))),
+        host: types.isAnyOf([types.isString.and(conditions.ipv4), types.isString.and(conditions.ipv6)]),
+        phone: types.isString.and(conditions.e164),
+      };
+      assert.equal(await validateData(schema, { email: 'a@b.co', ids: ['123e4567-e89b-42d3-a456-426614174000'], host: '::1' }), true);
+      assert.deepEqual(await validateData(schema, { email: 'a', ids: ['x'], host: 'localhost', phone: '555' }), [
+        { key: 'email', error: 'value is not a valid email address', code: 'format.email', params: {} },
+        { key: 'ids.0', error: 'value is not a valid version 4 UUID', code: 'format.uuid.version', params: { version: 4 } },
+        { key: 'host', error: 'value failed to match one of the the allowed types', code: 'anyOf', params: {} },
+        { key: 'phone', error: 'value is not a valid E.164 phone number, e.g. +14155552671', code: 'format.e164', params: {} },
+      ]);
+    });
+
+    it('leaves other types to the type', () => {
+      assert.equal(conditions.email(5), true);
+      assert.equal(types.isString.and(conditions.email).sync(5), 'value is not a string');
+    });
+
+    it('converts to and from JSON Schema', () => {
+      const schema = {
+        email: types.isString.and(conditions.email),
+        site: types.isString.and(conditions.url),
+        day: types.isString.and(conditions.isoDate),
+        color: types.isString.and(conditions.hexColor),
+        id: types.isString.and(conditions.uuid.version(7)),
+      };
+      const json = toJSONSchema(schema);
+      assert.deepEqual(json.properties, {
+        email: { type: 'string', format: 'email' },
+        site: { type: 'string', format: 'uri' },
+        day: { type: 'string', format: 'date' },
+        color: { type: 'string', pattern: '^#(?:[0-9a-fA-F]{3}|[0-9a-fA-F]{4}|[0-9a-fA-F]{6}|[0-9a-fA-F]{8})$' },
+        id: { type: 'string', format: 'uuid', pattern: '^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-7[0-9a-fA-F]{3}-[89abAB][0-9a-fA-F]{3}-[0-9a-fA-F]{12}$' },
+      });
+      const imported = fromJSONSchema(json);
+      assert.equal(validateDataSync(imported, { email: 'a@b.co', site: 'https://a.b', day: '2024-01-01', color: '#abc' }), true);
+      assert.equal(validateDataSync(imported, { site: 'urn:isbn:0451450523' }), true);
+      assert.deepEqual(toKeys(validateDataSync(imported, { email: 'a', site: 'b', day: 'c', color: 'd', id: '123e4567-e89b-42d3-a456-426614174000' })), {
+        email: 'value is not a valid email address',
+        site: 'value is not a valid absolute URI',
+        day: 'value is not a valid ISO 8601 date (YYYY-MM-DD)',
+        color: 'value does not match the pattern /^#(?:[0-9a-fA-F]{3}|[0-9a-fA-F]{4}|[0-9a-fA-F]{6}|[0-9a-fA-F]{8})$/u',
+        id: 'value does not match the pattern /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-7[0-9a-fA-F]{3}-[89abAB][0-9a-fA-F]{3}-[0-9a-fA-F]{12}$/u',
+      });
+    });
+  });
+
+  describe('string length', () => {
+    it('validates the exact length', () => {
+      const validator = types.isString.and(conditions.length(3));
+      assert.equal(validator.sync('abc'), true);
+      assert.equal(validator.sync('ab'), 'string must be exactly 3 characters long');
+    });
+
+    it('counts code units by default', () => {
+      assert.equal(conditions.maxLength(1)('😀'), 'string must be at most 1 characters long');
+      assert.equal(conditions.maxLength(1, { unit: 'codeUnits' })('😀'), 'string must be at most 1 characters long');
+    });
+
+    it('counts code points', () => {
+      assert.equal(conditions.maxLength(1, { unit: 'codePoints' })('😀'), true);
+      assert.equal(conditions.length(2, { unit: 'codePoints' })('a😀'), true);
+      assert.equal(conditions.maxLength(1, { unit: 'codePoints' })('👍🏽'), 'string must be at most 1 characters long');
+    });
+
+    it('counts graphemes', () => {
+      assert.equal(conditions.maxLength(1, { unit: 'graphemes' })('👍🏽'), true);
+      assert.equal(conditions.length(2, { unit: 'graphemes' })('e\u0301👨‍👩‍👧'), true);
+      assert.equal(conditions.minLength(3, { unit: 'graphemes' })('e\u0301👨‍👩‍👧'), 'string must be at least 3 characters long');
+    });
+
+    it('throws for unknown units', () => {
+      assert.throws(() => conditions.minLength(1, { unit: 'bytes' }), {
+        message: 'Unknown length unit: bytes. Expected one of: codeUnits,codePoints,graphemes',
+      });
+    });
+
+    it('converts to and from JSON Schema', () => {
+      const json = toJSONSchema(types.isString.and(conditions.length(2, { unit: 'codePoints' })));
+      assert.deepEqual(json, { $schema: 'https://json-schema.org/draft/2020-12/schema', type: 'string', minLength: 2, maxLength: 2 });
+      assert.equal(validateDataSync(fromJSONSchema(json), 'a😀'), true);
+    });
+  });
+
+  describe('range on unsupported types', () => {
+    it('throws when attached to a type it can not check', () => {
+      assert.throws(() => types.isString.and(conditions.range(1, 50)), {
+        message: 'Condition range can not be applied to string values',
+      });
+      assert.throws(() => types.isBoolean.and(withMessage(conditions.range(1, 50), 'too long')), {
+        message: 'Condition range can not be applied to boolean values',
+      });
+      assert.throws(() => types.isArray.and(conditions.minLength(1)), {
+        message: 'Condition minLength can not be applied to array values',
+      });
+    });
+
+    it('reports values it can not check', async () => {
+      const schema = { a: types.isAnyOf([types.isString, types.isInteger]).and(conditions.range(1, 5)) };
+      assert.equal(await validateData(schema, { a: 3 }), true);
+      assert.deepEqual(await validateData(schema, { a: 'abc' }), [
+        { key: 'a', error: 'range can only be checked for numbers, arrays and records', code: 'range.type', params: { lower: 1, upper: 5 } },
+      ]);
+    });
+  });
+
+  describe('safeString', () => {
+    const validator = conditions.safeString();
+
+    it('accepts plain text', () => {
+      assert.equal(validator('Hello, World!\n\tLine two 😀 – ünïcödé 1 < 2'), true);
+      assert.equal(validator('price: 5$'), true);
+    });
+
+    it('rejects unsafe characters naming their class', () => {
+      assert.equal(validator('a\u0000b'), 'value contains a null byte');
+      assert.equal(validator('a\u0007b'), 'value contains control characters');
+      assert.equal(validator('a\u0085b'), 'value contains control characters');
+      assert.equal(validator('pay\u200Bpal'), 'value contains zero-width characters');
+      assert.equal(validator('abc\u202Etxt.exe'), 'value contains bidirectional text control characters');
+      assert.equal(validator('<script>alert(1)</script>'), 'value contains HTML markup');
+      assert.equal(validator('hi <!-- comment -->'), 'value contains HTML markup');
+      assert.equal(validator('$where'), 'value starts with $, which could be treated as a MongoDB operator');
+    });
+
+    it('reports the class and position', async () => {
+      const schema = { name: types.isString.and(conditions.safeString()) };
+      assert.deepEqual(await validateData(schema, { name: 'ab</b>' }), [{
+        key: 'name',
+        error: 'value contains HTML markup',
+        code: 'safeString.markup',
+        params: { characterClass: 'markup', position: 2 },
+      }]);
+    });
+
+    it('accepts allowed classes', () => {
+      const validator = conditions.safeString({ allow: ['markup', 'mongoOperator'] });
+      assert.equal(validator('<b>$bold</b>'), true);
+      assert.equal(validator('$gt'), true);
+      assert.equal(validator('<b>\u200B</b>'), 'value contains zero-width characters');
+      assert.throws(() => conditions.safeString({ allow: ['emoji'] }), {
+        message: 'Unknown safeString class: emoji. Expected one of: nullByte,controlCharacters,zeroWidth,bidi,markup,mongoOperator',
+      });
+    });
+
+    it('reports unsafe values instead of rejecting them', async () => {
+      const reports = [];
+      const schema = { user: { bio: types.isString.and(conditions.safeString({ report: (report) => reports.push(report) })) } };
+      assert.equal(await validateData(schema, { user: { bio: 'x\u200By' } }), true);
+      assert.deepEqual(reports, [{ key: 'user.bio', value: 'x\u200By', characterClass: 'zeroWidth', position: 1 }]);
+    });
+
+    it('can only be applied to strings', () => {
+      assert.throws(() => types.isInteger.and(conditions.safeString()), {
+        message: 'Condition safeString can not be applied to integer values',
+      });
+    });
+
+    it('checks keys through isRecord', () => {
+      const schema = { filters: types.isRecord(types.isString.and(conditions.safeString()), types.isString) };
+      assert.equal(validateDataSync(schema, { filters: { status: 'open' } }), true);
+      const issue = {
+        error: 'value starts with $, which could be treated as a MongoDB operator',
+        code: 'safeString.mongoOperator',
+        params: { characterClass: 'mongoOperator', position: 0 },
+      };
+      assert.deepEqual(validateDataSync(schema, { filters: { status: 'open', $where: 'sleep(1000)' } }), [
+        { key: 'filters.$where', error: `key $where is not valid: ${issue.error}`, code: 'record.key', params: { key: '$where', issue } },
+      ]);
+    });
+  });
+
+  describe('inList and notInList', () => {
+    it('accepts numbers and booleans', async () => {
+      const schema = {
+        size: types.isInteger.and(conditions.inList([1, 2, 3])),
+        flag: types.isBoolean.and(conditions.inList([true])),
+      };
+      assert.equal(await validateData(schema, { size: 2, flag: true }), true);
+      assert.deepEqual(toKeys(await validateData(schema, { size: 4, flag: false })), {
+        size: 'value does not match accepted values: [1,2,3]',
+        flag: 'value does not match accepted values: [true]',
+      });
+    });
+
+    it('compares strings ignoring case', () => {
+      const validator = conditions.inList(['Red', 'green', 1], { caseInsensitive: true });
+      assert.equal(validator('RED'), true);
+      assert.equal(validator('Green'), true);
+      assert.equal(validator(1), true);
+      assert.equal(validator('blue'), 'value does not match accepted values: [Red,green,1]');
+      assert.equal(conditions.inList(['Red'])('red'), 'value does not match accepted values: [Red]');
+    });
+
+    it('shortens large lists in the message', async () => {
+      const list = Array.from({ length: 25 }, (_, i) => `v${i}`);
+      assert.deepEqual(await validateData({ a: types.isString.and(conditions.inList(list)) }, { a: 'x' }), [{
+        key: 'a',
+        error: 'value does not match accepted values: [v0,v1,v2,v3,v4,v5,v6,v7,v8,v9,... 15 more]',
+        code: 'inList',
+        params: { list },
+      }]);
+    });
+
+    it('rejects listed values with notInList', async () => {
+      const schema = { username: types.isString.and(conditions.required, conditions.notInList(['admin', 'root'], { caseInsensitive: true })) };
+      assert.equal(await validateData(schema, { username: 'jane' }), true);
+      assert.deepEqual(await validateData(schema, { username: 'Admin' }), [{
+        key: 'username',
+        error: 'value must not be one of: [admin,root]',
+        code: 'notInList',
+        params: { list: ['admin', 'root'] },
+      }]);
+      assert.deepEqual(toKeys(await validateData(schema, {})), { username: 'value is required but missing' });
+      assert.equal(conditions.notInList([0])(1), true);
+      assert.equal(conditions.notInList([0])(0), 'value must not be one of: [0]');
+    });
+
+    it('is ordered like inList', async () => {
+      const schema = { a: types.isString.and(conditions.notInList(['a']), conditions.required) };
+      assert.deepEqual(toKeys(await validateData(schema, {})), { a: 'value is required but missing' });
+      assert.deepEqual(toKeys(await validateData(schema, { a: 'a' }, { collectAll: true })), { a: 'value must not be one of: [a]' });
+    });
+
+    it('converts to JSON Schema', () => {
+      const schema = {
+        a: types.isString.and(conditions.notInList(['admin'])),
+        b: types.isString.and(conditions.inList(['x'], { caseInsensitive: true })),
+      };
+      assert.deepEqual(toJSONSchema(schema).properties, {
+        a: { type: 'string', not: { enum: ['admin'] } },
+        b: { type: 'string', $comment: 'inList ignoring case can not be represented in JSON Schema' },
+      });
+    });
+  });
+
+  describe('isDate', () => {
+    it('accepts valid Date instances', () => {
+      assert.equal(types.isDate(new Date()), true);
+      assert.equal(types.isDate(undefined), true);
+      assert.equal(types.isDate(new Date('nope')), 'value is not a valid date');
+      assert.equal(types.isDate('2024-01-31'), 'value is not a valid date');
+      assert.equal(types.isDate(1706659200000), 'value is not a valid date');
+    });
+
+    it('accepts ISO strings with orIsoString', () => {
+      assert.equal(types.isDate.orIsoString('2024-01-31'), true);
+      assert.equal(types.isDate.orIsoString('2024-01-31T12:00:00Z'), true);
+      assert.equal(types.isDate.orIsoString(new Date()), true);
+      assert.equal(types.isDate.orIsoString('31.01.2024'), 'value is not a valid date or ISO 8601 date string');
+    });
+
+    it('converts ISO strings with toDate', () => {
+      const { value, errors } = validateSync({ start: types.isDate.and(translators.toDate) }, { start: '2024-01-31' });
+      assert.deepEqual(errors, []);
+      assert.ok(value.start instanceof Date);
+    });
+
+    it('leaves dates that do not exist to the type', () => {
+      const schema = { start: types.isDate.and(translators.toDate) };
+      assert.deepEqual(validateSync(schema, { start: '2024-02-30' }), {
+        value: { start: '2024-02-30' },
+        errors: [{ key: 'start', error: 'value is not a valid date', code: 'type.date', params: {} }],
+      });
+      assert.deepEqual(validateSync(schema, { start: '2024-02-30T10:00:00Z' }).value, { start: '2024-02-30T10:00:00Z' });
+      assert.equal(validateSync(schema, { start: '2024-02-29T10:00:00+01:00' }).value.start.toISOString(), '2024-02-29T09:00:00.000Z');
+    });
+
+    it('can not be combined with range', () => {
+      assert.throws(() => types.isDate.and(conditions.range(0, 1)), { message: 'Condition range can not be applied to date values' });
+    });
+  });
+
+  describe('date conditions', () => {
+    const jan = new Date('2024-01-01');
+    const feb = new Date('2024-02-01');
+    const mar = new Date('2024-03-01');
+
+    it('validates before and after', () => {
+      assert.equal(conditions.before(feb)(jan), true);
+      assert.equal(conditions.before(feb)(feb), 'date must be before 2024-02-01');
+      assert.equal(conditions.after('2024-02-01T12:30:00Z')(mar), true);
+      assert.equal(conditions.after('2024-02-01T12:30:00Z')(jan), 'date must be after 2024-02-01T12:30:00.000Z');
+    });
+
+    it('validates inPast and inFuture', () => {
+      const past = new Date(Date.now() - 60000);
+      const future = new Date(Date.now() + 60000);
+      assert.equal(conditions.inPast(past), true);
+      assert.equal(conditions.inPast(future), 'date must be in the past');
+      assert.equal(conditions.inFuture(future), true);
+      assert.equal(conditions.inFuture(past), 'date must be in the future');
+    });
+
+    it('validates dateRange including both limits', () => {
+      assert.equal(conditions.dateRange(jan, mar)(jan), true);
+      assert.equal(conditions.dateRange(jan, mar)(mar), true);
+      assert.equal(conditions.dateRange(jan, feb)(mar), 'date must be between 2024-01-01 and 2024-02-01');
+      assert.equal(conditions.dateRange(feb, undefined)(jan), 'date must be on or after 2024-02-01');
+      assert.equal(conditions.dateRange(undefined, feb)(mar), 'date must be on or before 2024-02-01');
+      assert.equal(conditions.dateRange(undefined, feb)(jan), true);
+    });
+
+    it('compares ISO strings accepted by the type', async () => {
+      const schema = {
+        startDate: types.isDate.orIsoString.and(conditions.required, conditions.after('2024-01-01')),
+        endDate: types.isDate.orIsoString.and(conditions.dateRange('2024-01-01', '2024-12-31T23:59:59Z')),
+      };
+      assert.equal(await validateData(schema, { startDate: '2024-05-01', endDate: new Date('2024-06-01') }), true);
+      assert.deepEqual(await validateData(schema, { startDate: '2023-12-31', endDate: '2025-01-01T00:00:00Z' }), [
+        { key: 'startDate', error: 'date must be after 2024-01-01', code: 'date.after', params: { date: '2024-01-01' } },
+        {
+          key: 'endDate',
+          error: 'date must be between 2024-01-01 and 2024-12-31T23:59:59.000Z',
+          code: 'date.range',
+          params: { min: '2024-01-01', max: '2024-12-31T23:59:59Z' },
+        },
+      ]);
+    });
+
+    it('throws for invalid limits and types', () => {
+      assert.throws(() => conditions.before('tomorrow'), { message: 'Invalid date passed to before: tomorrow' });
+      assert.throws(() => types.isString.and(conditions.inPast), { message: 'Condition inPast can not be applied to string values' });
+    });
+
+    it('converts to JSON Schema', () => {
+      const schema = { a: types.isDate, b: types.isDate.orIsoString.and(conditions.inPast) };
+      assert.deepEqual(toJSONSchema(schema).properties, {
+        a: { type: 'string', format: 'date-time' },
+        b: {
+          type: 'string',
+          anyOf: [{ format: 'date' }, { format: 'date-time' }],
+          $comment: 'Condition inPast can not be represented in JSON Schema',
+        },
+      });
+    });
+  });
+
+  describe('isOneOfByKey', () => {
+    const schema = {
+      event: types.isOneOfByKey('type', {
+        click: { x: types.isInteger.and(conditions.required), y: types.isInteger },
+        purchase: { sku: types.isString.and(conditions.required), price: types.isNumeric },
+      }).and(conditions.required),
+    };
+
+    it('validates the schema picked by the discriminator', async () => {
+      assert.equal(await validateData(schema, { event: { type: 'click', x: 1, y: 2 } }), true);
+      assert.equal(await validateData(schema, { event: { type: 'purchase', sku: 'a1', price: 9.5 } }), true);
+    });
+
+    it('reports errors of the picked schema with full key paths', async () => {
+      assert.deepEqual(await validateData(schema, { event: { type: 'purchase', price: 'free', x: 1 } }), [
+        { key: 'event.sku', error: 'value is required but missing', code: 'required', params: {} },
+        { key: 'event.price', error: 'value is not a number', code: 'type.number', params: {} },
+        { key: 'event.x', error: 'extraneous key found', code: 'extraneous', params: {} },
+      ]);
+    });
+
+    it('reports an unknown or missing discriminator at its key', async () => {
+      const error = {
+        key: 'event.type',
+        error: 'value must be one of: [click,purchase]',
+        code: 'oneOfByKey',
+        params: { key: 'type', tags: ['click', 'purchase'] },
+      };
+      assert.deepEqual(await validateData(schema, { event: { type: 'scroll' } }), [error]);
+      assert.deepEqual(await validateData(schema, { event: { x: 1 } }), [error]);
+      assert.deepEqual(await validateData(schema, { event: 'click' }), [
+        { key: 'event', error: 'value is not an object', code: 'type.object', params: {} },
+      ]);
+    });
+
+    it('picks schemas by number and boolean tags', () => {
+      const schema = {
+        payload: types.isOneOfByKey('version', {
+          1: { name: types.isString },
+          2: { firstName: types.isString },
+        }),
+        flag: types.isOneOfByKey('enabled', { true: { level: types.isInteger.and(conditions.required) }, false: {} }),
+      };
+      assert.equal(validateDataSync(schema, { payload: { version: 2, firstName: 'Jane' }, flag: { enabled: false } }), true);
+      assert.equal(validateDataSync(schema, { payload: { version: '1', name: 'Jane' } }), true);
+      assert.deepEqual(validateDataSync(schema, { payload: { version: 3 }, flag: { enabled: true } }), [
+        { key: 'payload.version', error: 'value must be one of: [1,2]', code: 'oneOfByKey', params: { key: 'version', tags: ['1', '2'] } },
+        { key: 'flag.level', error: 'value is required but missing', code: 'required', params: {} },
+      ]);
+      assert.deepEqual(toJSONSchema(schema.payload).oneOf.map((node) => node.properties.version), [{ enum: ['1', 1] }, { enum: ['2', 2] }]);
+      assert.deepEqual(toJSONSchema(schema.flag).oneOf.map((node) => node.properties.enabled), [{ enum: ['true', true] }, { enum: ['false', false] }]);
+    });
+
+    it('leaves function branches to validate the discriminator', () => {
+      const schema = {
+        event: types.isOneOfByKey('type', {
+          click: types.isObject.and(conditions.ofShape({ type: types.isString, x: types.isInteger })),
+        }),
+      };
+      assert.deepEqual(validateDataSync(schema, { event: { type: 'click', x: 'a' } }), [
+        { key: 'event.x', error: 'value is not an integer', code: 'type.integer', params: {} },
+      ]);
+    });
+
+    it('converts to JSON Schema', () => {
+      assert.deepEqual(toJSONSchema(schema).properties.event, {
+        oneOf: [
+          {
+            type: 'object',
+            properties: { x: { type: 'integer' }, y: { type: 'integer' }, type: { const: 'click' } },
+            required: ['type', 'x'],
+            additionalProperties: false,
+          },
+          {
+            type: 'object',
+            properties: { sku: { type: 'string' }, price: { type: 'number' }, type: { const: 'purchase' } },
+            required: ['type', 'sku'],
+            additionalProperties: false,
+          },
+        ],
+      });
+    });
+  });
+
+  describe('isAnyOf diagnostics', () => {
+    const color = {
+      red: types.isInteger.and(conditions.range(0, 255), conditions.required),
+      alpha: types.isNumeric.and(conditions.range(0, 1)),
+    };
+    const defaultColor = types.isString.and(conditions.inList(['red', 'blue']));
+
+    it('attaches the errors of every type', async () => {
+      const schema = { colors: types.isArray.and(conditions.ofType(types.isAnyOf([color, defaultColor], { diagnostics: 'all' }))) };
+      assert.deepEqual(await validateData(schema, { colors: ['red', { red: 300, alpha: 2 }] }), [
+        {
+          key: 'colors.1',
+          error: 'value failed to match one of the the allowed types',
+          code: 'anyOf',
+          params: {},
+          errors: [
+            { key: 'colors.1.red', error: 'value falls outside of range (0, 255)', code: 'range', params: { lower: 0, upper: 255 }, branch: 0 },
+            { key: 'colors.1.alpha', error: 'value falls outside of range (0, 1)', code: 'range', params: { lower: 0, upper: 1 }, branch: 0 },
+            { key: 'colors.1', error: 'value is not a string', code: 'type.string', params: {}, branch: 1 },
+          ],
+        },
+      ]);
+    });
+
+    it('attaches the errors of the closest type', async () => {
+      const schema = { color: types.isAnyOf([color, defaultColor], { diagnostics: 'closest' }) };
+      // a type error counts as the furthest from matching, even with fewer errors
+      const [objectError] = await validateData(schema, { color: { alpha: 2 } });
+      assert.deepEqual(objectError.errors.map(({ key, code, branch }) => ({ key, code, branch })), [
+        { key: 'color.red', code: 'required', branch: 0 },
+        { key: 'color.alpha', code: 'range', branch: 0 },
+      ]);
+      const [stringError] = await validateData(schema, { color: 'orange' });
+      assert.deepEqual(stringError.errors.map(({ key, code, branch }) => ({ key, code, branch })), [
+        { key: 'color', code: 'inList', branch: 1 },
+      ]);
+    });
+
+    it('is supported by isOneOf and synchronous validation', () => {
+      const schema = { value: types.isOneOf([types.isInteger, types.isString.and(conditions.notEmpty)], { diagnostics: 'closest' }) };
+      assert.deepEqual(validateDataSync(schema, { value: '' }), [
+        {
+          key: 'value',
+          error: 'value failed to match exactly one of the allowed types',
+          code: 'oneOf',
+          params: {},
+          errors: [{ key: 'value', error: 'string value can not be empty', code: 'notEmpty', params: {}, branch: 1 }],
+        },
+      ]);
+    });
+
+    it('leaves errors without diagnostics unchanged', async () => {
+      const schema = { color: types.isAnyOf([color, defaultColor]) };
+      assert.deepEqual(await validateData(schema, { color: 'orange' }), [
+        { key: 'color', error: 'value failed to match one of the the allowed types', code: 'anyOf', params: {} },
+      ]);
+    });
+  });
+
+  describe('isTuple', () => {
+    const schema = {
+      coords: types.isTuple([types.isNumeric.and(conditions.range(-180, 180)), types.isNumeric.and(conditions.range(-90, 90))]),
+      pair: types.isTuple([types.isString, { id: types.isInteger.and(conditions.required) }]),
+      sum: types.isTuple([types.isString.and(conditions.inList(['sum', 'max']))], types.isInteger),
+    };
+
+    it('validates each position against its own type', async () => {
+      assert.equal(await validateData(schema, { coords: [13.4, 52.5], pair: ['a', { id: 1 }], sum: ['sum', 1, 2, 3] }), true);
+      assert.equal(await validateData(schema, { sum: ['max'] }), true);
+    });
+
+    it('reports errors at the index of the item', async () => {
+      assert.deepEqual(await validateData(schema, { coords: [13.4, 91], pair: [1, {}], sum: ['sum', 1, 'two'] }), [
+        { key: 'coords.1', error: 'value falls outside of range (-90, 90)', code: 'range', params: { lower: -90, upper: 90 } },
+        { key: 'pair.0', error: 'value is not a string', code: 'type.string', params: {} },
+        { key: 'pair.1.id', error: 'value is required but missing', code: 'required', params: {} },
+        { key: 'sum.2', error: 'value is not an integer', code: 'type.integer', params: {} },
+      ]);
+    });
+
+    it('fails for too few or too many items', async () => {
+      assert.deepEqual(await validateData(schema, { coords: [13.4], pair: ['a', { id: 1 }, 'b'], sum: [] }), [
+        { key: 'coords', error: 'array must have at least 2 items', code: 'tuple.min', params: { min: 2 } },
+        { key: 'pair', error: 'array must have at most 2 items', code: 'tuple.max', params: { max: 2 } },
+        { key: 'sum', error: 'array must have at least 1 items', code: 'tuple.min', params: { min: 1 } },
+      ]);
+      assert.deepEqual(await validateData(schema, { coords: 'north' }), [
+        { key: 'coords', error: 'value is not an array', code: 'type.array', params: {} },
+      ]);
+    });
+
+    it('returns the translated items', () => {
+      const schema = { range: types.isTuple([types.isInteger.and(translators.toNumber), types.isInteger.and(translators.toNumber)]) };
+      assert.deepEqual(validateSync(schema, { range: ['1', '5'] }), { value: { range: [1, 5] }, errors: [] });
+    });
+
+    it('converts to JSON Schema', () => {
+      assert.deepEqual(toJSONSchema(schema).properties.sum, {
+        type: 'array',
+        prefixItems: [{ type: 'string', enum: ['sum', 'max'] }],
+        minItems: 1,
+        items: { type: 'integer' },
+      });
+      assert.equal(toJSONSchema(schema).properties.coords.items, false);
+    });
+  });
+
+  describe('isRecord', () => {
+    const locale = types.isString.and(conditions.inList(['en', 'de']));
+    const schema = {
+      labels: types.isRecord(locale, types.isString.and(conditions.required)).and(conditions.range(1, 2)),
+      counts: types.isRecord(types.isString.and(conditions.matches(/^id-\d+$/)), types.isInteger.and(translators.toNumber)),
+      tags: types.isRecord(types.isCustom((key) => key.length <= 3 || 'key is too long'), { enabled: types.isBoolean }),
+    };
+
+    it('validates keys and values', async () => {
+      assert.equal(await validateData(schema, { labels: { en: 'Hi', de: 'Hallo' }, counts: { 'id-1': 1 }, tags: { a: { enabled: true } } }), true);
+      assert.deepEqual(await validateData(schema, { labels: { en: 1, fr: 'Salut' }, counts: { id: 1 }, tags: { long: {}, b: { enabled: 1 } } }), [
+        { key: 'labels.en', error: 'value is not a string', code: 'type.string', params: {} },
+        {
+          key: 'labels.fr',
+          error: 'key fr is not valid: value does not match accepted values: [en,de]',
+          code: 'record.key',
+          params: { key: 'fr', issue: { error: 'value does not match accepted values: [en,de]', code: 'inList', params: { list: ['en', 'de'] } } },
+        },
+        {
+          key: 'counts.id',
+          error: 'key id is not valid: value does not match the pattern /^id-\\d+$/',
+          code: 'record.key',
+          params: { key: 'id', issue: { error: 'value does not match the pattern /^id-\\d+$/', code: 'matches', params: { regex: /^id-\d+$/ } } },
+        },
+        {
+          key: 'tags.long',
+          error: 'key long is not valid: key is too long',
+          code: 'record.key',
+          params: { key: 'long', issue: { error: 'key is too long', code: 'custom', params: {} } },
+        },
+        { key: 'tags.b.enabled', error: 'value is not a boolean', code: 'type.boolean', params: {} },
+      ]);
+    });
+
+    it('limits the number of entries with range', async () => {
+      assert.deepEqual(await validateData(schema, { labels: {} }), [
+        { key: 'labels', error: 'number of entries falls outside of range (1, 2)', code: 'range.entries', params: { lower: 1, upper: 2 } },
+      ]);
+      assert.deepEqual(await validateData({ a: types.isRecord(types.isString, types.isString).and(conditions.range(undefined, 1)) }, { a: { x: 'a', y: 'b' } }), [
+        { key: 'a', error: 'number of entries must be less than or equal to 1', code: 'range.entries.max', params: { lower: undefined, upper: 1 } },
+      ]);
+      assert.deepEqual(await validateData(schema, { labels: 'en' }), [
+        { key: 'labels', error: 'value is not an object', code: 'type.object', params: {} },
+      ]);
+    });
+
+    it('returns the translated values', () => {
+      assert.deepEqual(validateSync(schema, { counts: { 'id-1': '5' } }), { value: { counts: { 'id-1': 5 } }, errors: [] });
+    });
+
+    it('converts to and from JSON Schema', () => {
+      const schema = {
+        labels: types.isRecord(types.isString.and(conditions.matches(/^[a-z]{2}$/)), types.isString).and(conditions.range(1, 10)),
+        headers: { version: types.isInteger.and(conditions.required), '*': types.isString },
+      };
+      const document = toJSONSchema(schema);
+      assert.deepEqual(document.properties, {
+        labels: {
+          type: 'object',
+          propertyNames: { type: 'string', pattern: '^[a-z]{2}$' },
+          additionalProperties: { type: 'string' },
+          minProperties: 1,
+          maxProperties: 10,
+        },
+        headers: {
+          type: 'object',
+          properties: { version: { type: 'integer' } },
+          required: ['version'],
+          additionalProperties: { type: 'string' },
+        },
+      });
+      const imported = fromJSONSchema(document.properties.headers);
+      assert.equal(imported.sync({ version: 1, 'x-foo': 'a' }), true);
+      assert.deepEqual(imported.sync({ 'x-foo': 1 }), [
+        { key: 'version', error: 'value is required but missing', code: 'required', params: {} },
+        { key: 'x-foo', error: 'value is not a string', code: 'type.string', params: {} },
+      ]);
+    });
+  });
+
+  describe('cross-field conditions', () => {
+    const address = { street: types.isString.and(conditions.required) };
+    const schema = {
+      delivery: types.isString.and(conditions.required, conditions.inList(['ship', 'pickup'])),
+      shippingAddress: conditions.when(
+        (order) => order.delivery === 'ship',
+        types.isObject.and(conditions.required, conditions.ofShape(address)),
+      ),
+      pickupStore: types.isString.and(conditions.requiredIf('delivery', 'pickup'), conditions.forbiddenIf('delivery', 'ship')),
+      password: types.isString.and(conditions.required),
+      confirmPassword: types.isString.and(conditions.required, conditions.equalsField('password')),
+    };
+
+    it('passes when the fields agree', async () => {
+      assert.equal(await validateData(schema, { delivery: 'ship', shippingAddress: { street: 'Main St' }, password: 'a', confirmPassword: 'a' }), true);
+      assert.equal(await validateData(schema, { delivery: 'pickup', pickupStore: 'Berlin', password: 'a', confirmPassword: 'a' }), true);
+    });
+
+    it('reports errors at the dependent field', async () => {
+      assert.deepEqual(await validateData(schema, { delivery: 'ship', pickupStore: 'Berlin', password: 'a', confirmPassword: 'b' }), [
+        { key: 'shippingAddress', error: 'value is required but missing', code: 'required', params: {} },
+        { key: 'pickupStore', error: 'value is not allowed', code: 'forbiddenIf', params: { field: 'delivery', value: 'ship' } },
+        { key: 'confirmPassword', error: 'value must match password', code: 'equalsField', params: { field: 'password' } },
+      ]);
+      assert.deepEqual(await validateData(schema, { delivery: 'pickup', shippingAddress: {}, password: 'a', confirmPassword: 'a' }), [
+        { key: 'pickupStore', error: 'value is required but missing', code: 'requiredIf', params: { field: 'delivery', value: 'pickup' } },
+      ]);
+    });
+
+    it('validates the then and otherwise schemas with full key paths', () => {
+      const schema = {
+        payment: {
+          method: types.isString,
+          details: conditions.when('card', { number: types.isString.and(conditions.required) }, { iban: types.isString.and(conditions.required) }),
+          card: types.isBoolean,
+        },
+      };
+      assert.deepEqual(validateDataSync(schema, { payment: { card: true, details: {} } }), [
+        { key: 'payment.details.number', error: 'value is required but missing', code: 'required', params: {} },
+      ]);
+      assert.deepEqual(validateDataSync(schema, { payment: { details: {} } }), [
+        { key: 'payment.details.iban', error: 'value is required but missing', code: 'required', params: {} },
+      ]);
+      assert.equal(validateDataSync(schema, { payment: {} }), true);
+    });
+
+    it('passes the parent, root and path to conditions', async () => {
+      const calls = [];
+      const after = (value, _prefix, context) => {
+        calls.push({ parent: context.parent, root: context.root, path: context.path });
+        return value > context.parent.start || 'end must be after start';
+      };
+      const data = { ranges: [{ start: 1, end: 2 }, { start: 3, end: 3 }] };
+      const schema = { ranges: types.isArray.and(conditions.ofType({ start: types.isInteger, end: types.isInteger.and(after) })) };
+      assert.deepEqual(await validateData(schema, data), [
+        { key: 'ranges.1.end', error: 'end must be after start', code: 'custom', params: {} },
+      ]);
+      assert.deepEqual(calls, [
+        { parent: data.ranges[0], root: data, path: 'ranges.0.end' },
+        { parent: data.ranges[1], root: data, path: 'ranges.1.end' },
+      ]);
+    });
+
+    it('accepts predicates and field paths', async () => {
+      const schema = {
+        company: { vatId: types.isString },
+        invoice: types.isBoolean,
+        vatId: types.isString.and(conditions.requiredIf((data, { root }) => root.invoice === true && !root.company)),
+        email: types.isString.and(conditions.forbiddenIf('company.vatId')),
+      };
+      assert.deepEqual(await validateData(schema, { invoice: true, email: 'a@b.c', company: { vatId: 'DE1' } }), [
+        { key: 'email', error: 'value is not allowed', code: 'forbiddenIf', params: { field: 'company.vatId' } },
+      ]);
+      assert.deepEqual(await validateData(schema, { invoice: true }), [
+        { key: 'vatId', error: 'value is required but missing', code: 'requiredIf', params: {} },
+      ]);
+    });
+
+    it('passes the root to schemas given as a function', async () => {
+      const schema = types.isObject.and(conditions.ofShape({
+        a: types.isString.and(conditions.requiredIf((_data, { root }) => root.flag)),
+        flag: types.isBoolean,
+      }));
+      const expected = [{ key: 'a', error: 'value is required but missing', code: 'requiredIf', params: {} }];
+      assert.deepEqual(await validateData(schema, { flag: true }), expected);
+      assert.deepEqual(await validateData(schema, { flag: true }, {}), expected);
+      assert.deepEqual(await validateData(schema, { flag: true }, 'data'), [{ ...expected[0], key: 'data.a' }]);
+      assert.deepEqual(schema.sync({ flag: true }), expected);
+      assert.equal(await validateData(schema, { flag: false }), true);
+    });
+
+    it('does not mark conditionally required fields as required in JSON Schema', () => {
+      const document = toJSONSchema({ a: types.isString, b: types.isString.and(conditions.requiredIf('a')) });
+      assert.equal(document.required, undefined);
+      assert.deepEqual(document.properties.b, { type: 'string', $comment: 'Condition requiredIf can not be represented in JSON Schema' });
+    });
+  });
+
+  describe('key groups', () => {
+    const search = {
+      email: types.isString,
+      phone: types.isString,
+      userId: types.isInteger,
+      cursor: types.isString,
+      page: types.isInteger,
+      [conditions.rules]: [
+        conditions.atLeastOneOf(['email', 'phone', 'userId']),
+        conditions.mutuallyExclusive(['cursor', 'page']),
+      ],
+    };
+
+    it('checks the rules of object literals at the key of the object', async () => {
+      assert.equal(await validateData({ search }, { search: { email: 'a@b.c', page: 2 } }), true);
+      assert.deepEqual(await validateData({ search }, { search: { cursor: 'x', page: 2, userId: 'a' } }), [
+        { key: 'search.userId', error: 'value is not an integer', code: 'type.integer', params: {} },
+        {
+          key: 'search',
+          error: 'only one of [cursor,page] is allowed, found [cursor,page]',
+          code: 'keys.mutuallyExclusive',
+          params: { keys: ['cursor', 'page'], present: ['cursor', 'page'], missing: [] },
+        },
+      ]);
+      assert.deepEqual(await validateData(search, {}), [
+        {
+          key: '',
+          error: 'at least one of [email,phone,userId] is required',
+          code: 'keys.atLeastOneOf',
+          params: { keys: ['email', 'phone', 'userId'], present: [], missing: ['email', 'phone', 'userId'] },
+        },
+      ]);
+    });
+
+    it('can be attached to isObject', () => {
+      const schema = {
+        payment: types.isObject.and(conditions.oneOfKeys(['card', 'iban']), conditions.ofShape({ card: types.isString, iban: types.isString })),
+        range: types.isObject.and(conditions.allOrNone(['min', 'max'])),
+      };
+      assert.equal(validateDataSync(schema, { payment: { iban: 'DE1' }, range: { min: 1, max: 2 } }), true);
+      assert.deepEqual(validateDataSync(schema, { payment: {}, range: { min: 1 } }), [
+        {
+          key: 'payment',
+          error: 'exactly one of [card,iban] is required',
+          code: 'keys.oneOfKeys',
+          params: { keys: ['card', 'iban'], present: [], missing: ['card', 'iban'] },
+        },
+        {
+          key: 'range',
+          error: 'either all or none of [min,max] are required, missing [max]',
+          code: 'keys.allOrNone',
+          params: { keys: ['min', 'max'], present: ['min'], missing: ['max'] },
+        },
+      ]);
+      assert.equal(validateDataSync(schema, { payment: { card: '4242', iban: 'DE1' } })[0].error, 'only one of [card,iban] is allowed, found [card,iban]');
+    });
+
+    it('throws for invalid key groups', () => {
+      assert.throws(() => conditions.atLeastOneOf(['email']), { message: 'atLeastOneOf needs a list of at least two keys' });
+      assert.throws(() => types.isString.and(conditions.allOrNone(['a', 'b'])), { message: 'Condition allOrNone can not be applied to string values' });
+    });
+
+    it('converts to JSON Schema', () => {
+      const document = toJSONSchema({
+        search,
+        range: types.isObject.and(conditions.allOrNone(['min', 'max']), conditions.oneOfKeys(['a', 'b'])),
+      });
+      assert.deepEqual(document.properties.search.allOf, [
+        { anyOf: [{ required: ['email'] }, { required: ['phone'] }, { required: ['userId'] }] },
+        { not: { anyOf: [{ required: ['cursor', 'page'] }] } },
+      ]);
+      assert.deepEqual(document.properties.range, {
+        type: 'object',
+        allOf: [
+          { dependentRequired: { min: ['max'], max: ['min'] } },
+          { oneOf: [{ required: ['a'] }, { required: ['b'] }] },
+        ],
+      });
+    });
+  });
+
+  describe('array contents', () => {
+    const schema = {
+      tags: types.isArray.and(conditions.unique(), conditions.ofType(types.isString)),
+      items: types.isArray.and(conditions.uniqueBy('sku')),
+      roles: types.isArray.and(conditions.contains(types.isString.and(conditions.inList(['owner'])), { max: 2 })),
+    };
+
+    it('passes unique arrays containing the item', async () => {
+      assert.equal(await validateData(schema, { tags: ['a', 'b'], items: [{ sku: 'a' }, { sku: 'b' }], roles: ['owner', 'user'] }), true);
+    });
+
+    it('reports duplicates at their index', async () => {
+      assert.deepEqual(await validateData(schema, { tags: ['a', 'b', 'a', 'a'], items: [{ sku: 'a' }, { sku: 'b' }, { sku: 'b', qty: 2 }] }), [
+        { key: 'tags.2', error: 'value is a duplicate of item 0', code: 'unique', params: { index: 0 } },
+        { key: 'tags.3', error: 'value is a duplicate of item 0', code: 'unique', params: { index: 0 } },
+        { key: 'items.2', error: 'sku is the same as in item 1', code: 'unique.by', params: { key: 'sku', index: 1 } },
+      ]);
+    });
+
+    it('reports the first duplicate only when aborting early', async () => {
+      assert.deepEqual(await validateData(schema, { tags: ['a', 'b', 'a', 'a'] }, { abortEarly: true }), [
+        { key: 'tags.2', error: 'value is a duplicate of item 0', code: 'unique', params: { index: 0 } },
+      ]);
+    });
+
+    it('skips items without the key', async () => {
+      assert.equal(await validateData(schema, { items: [{ sku: 'a' }, {}, { qty: 1 }, { sku: 'b' }] }), true);
+      assert.deepEqual(await validateData(schema, { items: [{}, { sku: 'a' }, {}, { sku: 'a' }] }), [
+        { key: 'items.3', error: 'sku is the same as in item 1', code: 'unique.by', params: { key: 'sku', index: 1 } },
+      ]);
+    });
+
+    it('compares items deeply', () => {
+      const unique = conditions.unique();
+      assert.equal(unique([{ a: [1, { b: 2 }] }, { a: [1, { b: 3 }] }, [1], { 0: 1 }, new Date(0), new Date(1)]), true);
+      assert.equal(unique([{ a: [1, { b: 2 }] }, { a: [1, { b: 2 }] }]), 'value is a duplicate of item 0');
+      assert.equal(unique([new Date(0), new Date(0)]), 'value is a duplicate of item 0');
+      assert.equal(unique([NaN, NaN]), 'value is a duplicate of item 0');
+      assert.equal(unique([1, '1', true]), true);
+      const byName = conditions.uniqueBy((user) => user.name.toLowerCase());
+      assert.deepEqual(types.isArray.and(byName).sync([{ name: 'Ann' }, { name: 'ann' }]), [
+        { key: '1', error: 'value is a duplicate of item 0', code: 'unique.by', params: { index: 0 } },
+      ]);
+    });
+
+    it('counts the items matching contains', async () => {
+      assert.deepEqual(await validateData(schema, { roles: ['user'] }), [
+        { key: 'roles', error: 'array must contain at least 1 matching items', code: 'contains.min', params: { min: 1, max: 2, count: 0 } },
+      ]);
+      assert.deepEqual(await validateData(schema, { roles: ['owner', 'owner', 'owner'] }), [
+        { key: 'roles', error: 'array must contain at most 2 matching items', code: 'contains.max', params: { min: 1, max: 2, count: 3 } },
+      ]);
+      const items = types.isArray.and(conditions.contains({ sku: types.isString.and(conditions.required) }, { min: 2 }));
+      assert.equal(items.sync([{ sku: 'a' }, {}, { sku: 'b' }]), true);
+    });
+
+    it('throws when attached to other types', () => {
+      assert.throws(() => types.isString.and(conditions.unique()), { message: 'Condition unique can not be applied to string values' });
+    });
+
+    it('converts to and from JSON Schema', () => {
+      const document = toJSONSchema(schema);
+      assert.deepEqual(document.properties.tags, { type: 'array', uniqueItems: true, items: { type: 'string' } });
+      assert.deepEqual(document.properties.items, { type: 'array', $comment: 'Condition uniqueBy can not be represented in JSON Schema' });
+      assert.deepEqual(document.properties.roles, { type: 'array', contains: { type: 'string', enum: ['owner'] }, maxContains: 2 });
+      const imported = fromJSONSchema({ type: 'array', uniqueItems: true, contains: { const: 'owner' }, minContains: 2 });
+      assert.deepEqual(imported.sync(['owner', 'owner']), [
+        { key: '1', error: 'value is a duplicate of item 0', code: 'unique', params: { index: 0 } },
+      ]);
+      assert.equal(imported.sync(['owner', 'user']), 'array must contain at least 2 matching items');
+    });
+  });
 });